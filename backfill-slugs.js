@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Organization from './models/Organization.js';
+
+// Load environment variables
+dotenv.config();
+
+// Slugs are only generated when an organization is saved, so organizations created before
+// the public directory have none and can only be opened by id
+async function backfillSlugs() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const organizations = Organization.find({
+    slug: { $in: [null, ''] },
+    name: { $nin: [null, ''] }
+  }).cursor();
+
+  let updated = 0;
+
+  for await (const organization of organizations) {
+    await organization.generateSlug();
+
+    // Written directly so older profiles that fail today's validation still get a slug
+    const write = () => Organization.updateOne({ _id: organization._id }, { slug: organization.slug });
+
+    try {
+      await write();
+    } catch (error) {
+      if (!organization.resolveSlugConflict(error)) throw error;
+      await write();
+    }
+
+    updated += 1;
+  }
+
+  console.log(`✅ Added slugs to ${updated} organization${updated === 1 ? '' : 's'}`);
+
+  await mongoose.disconnect();
+}
+
+backfillSlugs().catch(async (error) => {
+  console.error('❌ Failed to backfill slugs:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
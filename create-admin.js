@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from './models/User.js';
+
+// Load environment variables
+dotenv.config();
+
+async function createAdmin() {
+  const [email, password] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: npm run create-admin -- <email> <password>');
+    process.exit(1);
+  }
+
+  if (password.length < 6) {
+    console.error('❌ Password must be at least 6 characters');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const existingUser = await User.findOne({ email: email.toLowerCase() });
+  if (existingUser) {
+    if (existingUser.role === 'admin') {
+      console.log(`✅ ${email} is already an admin`);
+    } else {
+      console.error(`❌ ${email} is already registered as ${existingUser.role}`);
+      process.exitCode = 1;
+    }
+  } else {
+    await User.create({ email, password, role: 'admin', emailVerified: true });
+    console.log(`✅ Admin account created for ${email}`);
+  }
+
+  await mongoose.disconnect();
+}
+
+createAdmin().catch(async (error) => {
+  console.error('❌ Failed to create admin:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
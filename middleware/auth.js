@@ -1,13 +1,120 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import OrganizationMember from '../models/OrganizationMember.js';
+import apiKeyService from '../services/apiKeyService.js';
+import auditService from '../services/auditService.js';
 
-// Generate JWT token
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Generate short-lived access token bound to a session
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
   });
 };
 
+// Generate a clearly marked access token for an admin acting as another user
+export const generateImpersonationToken = (userId, sessionId, impersonatorId, expiresInSeconds) => {
+  return jwt.sign(
+    { userId, sessionId, impersonatorId, purpose: 'impersonation' },
+    process.env.JWT_SECRET,
+    { expiresIn: expiresInSeconds }
+  );
+};
+
+// Generate the short-lived token that carries a login between the password and 2FA steps
+export const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: 'two-factor' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Verify a 2FA challenge token and return its user id (throws if invalid or expired)
+export const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== 'two-factor') {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded.userId;
+};
+
+// Resolve the user and session behind an access token.
+// Returns { user, session, impersonator } or { message } describing why the token was rejected.
+const resolveAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (!decoded.sessionId) {
+    return { message: 'Invalid token.' };
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isValid() || session.user.toString() !== decoded.userId.toString()) {
+    return { message: 'Session has expired or been revoked. Please log in again.' };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    return { message: 'Invalid token. User not found.' };
+  }
+
+  if (!user.isActive) {
+    return { message: 'Account is deactivated.' };
+  }
+
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { message: 'Password was changed. Please log in again.' };
+  }
+
+  // Impersonation tokens only work with their own session and a still-active admin
+  const impersonationToken = decoded.purpose === 'impersonation';
+  if (impersonationToken || session.impersonation?.admin) {
+    if (!impersonationToken || session.impersonation?.admin?.toString() !== decoded.impersonatorId?.toString()) {
+      return { message: 'Invalid token.' };
+    }
+
+    const impersonator = await User.findById(decoded.impersonatorId).select('-password');
+    if (!impersonator || !impersonator.isActive || impersonator.role !== 'admin') {
+      return { message: 'Impersonation is no longer allowed.' };
+    }
+
+    return { user, session, impersonator };
+  }
+
+  return { user, session };
+};
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Mark and log a request made under impersonation.
+// Returns false when it is a write and the session does not allow writes.
+const applyImpersonation = async (req, res, impersonator) => {
+  req.impersonator = impersonator;
+  res.set('X-Impersonated-By', impersonator.email);
+
+  const allowed = SAFE_METHODS.includes(req.method) || req.authSession.impersonation.allowWrites;
+
+  await auditService.record(req, {
+    action: 'impersonation.request',
+    actor: impersonator,
+    target: { type: 'user', id: req.user._id },
+    metadata: {
+      method: req.method,
+      path: req.originalUrl,
+      session: req.authSession._id,
+      blocked: !allowed
+    }
+  });
+
+  return allowed;
+};
+
+const sendImpersonationWriteBlocked = (res) => res.status(403).json({
+  status: 'error',
+  code: 'IMPERSONATION_READ_ONLY',
+  message: 'Write operations are disabled while impersonating a user.'
+});
+
 // Verify JWT token
 export const verifyToken = async (req, res, next) => {
   try {
@@ -20,24 +127,22 @@ export const verifyToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
+    const { user, session, impersonator, message } = await resolveAccessToken(token);
+
     if (!user) {
       return res.status(401).json({
         status: 'error',
-        message: 'Invalid token. User not found.'
+        message
       });
     }
 
-    if (!user.isActive) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Account is deactivated.'
-      });
+    req.user = user;
+    req.authSession = session;
+
+    if (impersonator && !(await applyImpersonation(req, res, impersonator))) {
+      return sendImpersonationWriteBlocked(res);
     }
 
-    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -61,8 +166,62 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
-// Check if user has specific role
+// Verify a JWT or an organization API key (X-API-Key header or "Bearer ink_...").
+// Only routers meant for integrations use this; scopes are enforced by the authorization policies.
+export const verifyTokenOrApiKey = async (req, res, next) => {
+  const credential = req.header('X-API-Key') || req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!apiKeyService.isApiKey(credential)) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const result = await apiKeyService.authenticate(credential, req);
+
+    if (!result) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid, expired or revoked API key.'
+      });
+    }
+
+    req.user = result.user;
+    req.apiKey = result.apiKey;
+    next();
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'API key verification failed.'
+    });
+  }
+};
+
+// Reject API key requests on routes that need a person behind them
+export const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'This endpoint cannot be used with an API key.'
+    });
+  }
+  next();
+};
+
+// Credentials, second factors and sessions can only be managed by the account holder, never during impersonation
+export const rejectImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'This endpoint cannot be used while impersonating a user.'
+    });
+  }
+  next();
+};
+
+// Check if user has specific role (accepts a role or an array of roles)
 export const requireRole = (roles) => {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -71,7 +230,7 @@ export const requireRole = (roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!allowedRoles.includes(req.user.role)) {
       return res.status(403).json({
         status: 'error',
         message: 'Access denied. Insufficient permissions.'
@@ -88,11 +247,15 @@ export const optionalAuth = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const { user, session, impersonator } = await resolveAccessToken(token);
       
-      if (user && user.isActive) {
+      if (user) {
         req.user = user;
+        req.authSession = session;
+
+        if (impersonator && !(await applyImpersonation(req, res, impersonator))) {
+          return sendImpersonationWriteBlocked(res);
+        }
       }
     }
     
@@ -103,3 +266,32 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Block organization accounts without 2FA when the organization they act for enforces it
+export const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (!req.user || req.apiKey || req.user.role !== 'organization' || req.user.twoFactor?.enabled) {
+      return next();
+    }
+
+    const organizationId = req.header('X-Organization-Id');
+    const membership = await OrganizationMember.resolveForUser(
+      req.user,
+      organizationId?.match(/^[0-9a-fA-F]{24}$/) ? organizationId : undefined
+    );
+
+    if (membership?.organization?.settings?.requireTwoFactor) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Your organization requires two-factor authentication. Please enable it to continue.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      message: 'Two-factor check failed.'
+    });
+  }
+};
@@ -0,0 +1,79 @@
+import Employee from '../models/Employee.js';
+import policyService from '../services/policyService.js';
+import { resolveMembership } from './organization.js';
+
+// Load what the policies need to know about the current user.
+// Returns { status, message } when the user's organization cannot be resolved.
+const loadActorContext = async (req) => {
+  if (req.user.role === 'organization' && !req.membership) {
+    const result = await resolveMembership(req);
+    if (!result.membership) return result;
+
+    req.membership = result.membership;
+    req.organization = result.organization;
+  }
+
+  if (req.user.role === 'employee' && req.employee === undefined) {
+    req.employee = await Employee.findOne({ user: req.user._id });
+  }
+
+  return null;
+};
+
+// Check an action against the policies in services/policyService.js.
+// `load` fetches the record being acted on (exposed as req.resource); a missing record is a 404.
+export const authorize = (action, { load, notFound = 'Resource not found' } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Authentication required.'
+      });
+    }
+
+    try {
+      const failure = await loadActorContext(req);
+      if (failure) {
+        return res.status(failure.status).json({
+          status: 'error',
+          message: failure.message
+        });
+      }
+
+      let resource;
+      if (load) {
+        resource = await load(req);
+
+        if (!resource) {
+          return res.status(404).json({
+            status: 'error',
+            message: notFound
+          });
+        }
+        req.resource = resource;
+      }
+
+      req.actor = policyService.buildActor({
+        user: req.user,
+        membership: req.membership,
+        apiKey: req.apiKey,
+        employee: req.employee
+      });
+
+      if (!policyService.can(req.actor, action, resource)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Access denied. Insufficient permissions.'
+        });
+      }
+    } catch (error) {
+      console.error('Authorization error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Authorization check failed'
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,55 @@
+import OrganizationMember from '../models/OrganizationMember.js';
+import Organization from '../models/Organization.js';
+
+// Find the organization the current user acts for.
+// Users in several organizations pick one with the X-Organization-Id header;
+// API keys always act for the organization that owns them.
+// Returns { membership, organization } or { status, message } when there is none.
+export const resolveMembership = async (req) => {
+  if (req.apiKey) {
+    const organization = await Organization.findById(req.apiKey.organization);
+    if (!organization) {
+      return { status: 404, message: 'Organization profile not found' };
+    }
+
+    return { membership: { role: 'api-key', organization }, organization };
+  }
+
+  const organizationId = req.header('X-Organization-Id');
+
+  if (organizationId && !organizationId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { status: 400, message: 'Invalid organization ID format' };
+  }
+
+  const membership = await OrganizationMember.resolveForUser(req.user, organizationId);
+
+  if (!membership) {
+    return { status: 404, message: 'Organization profile not found' };
+  }
+
+  return { membership, organization: membership.organization };
+};
+
+// Load the organization the current user acts for into req.membership and req.organization
+export const loadMembership = async (req, res, next) => {
+  try {
+    const result = await resolveMembership(req);
+
+    if (!result.membership) {
+      return res.status(result.status).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    req.membership = result.membership;
+    req.organization = result.organization;
+    next();
+  } catch (error) {
+    console.error('Load membership error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to load organization membership'
+    });
+  }
+};
@@ -58,6 +58,17 @@ export const uploadFields = (fields) => {
   return upload.fields(fields);
 };
 
+// Remove an uploaded file from Cloudinary (failures are logged, not thrown)
+export const deleteAsset = async (publicId) => {
+  if (!publicId) return;
+
+  try {
+    await cloudinary.uploader.destroy(publicId);
+  } catch (error) {
+    console.error('Cloudinary delete error:', error.message);
+  }
+};
+
 // Error handling middleware for multer
 export const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
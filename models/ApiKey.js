@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+export const API_KEY_SCOPES = [
+  'opportunities:read',
+  'opportunities:write',
+  'applications:read',
+  'applications:write'
+];
+
+const apiKeySchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true
+  },
+  // Public part of the key, used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ organization: 1, revokedAt: 1 });
+
+// Check whether the key can still be used
+apiKeySchema.methods.isValid = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Canonical application statuses (see services/applicationStatusService.js)
+export const APPLICATION_STATUSES = ['submitted', 'reviewing', 'shortlisted', 'interview', 'accepted', 'rejected', 'withdrawn'];
+
 const applicationSchema = new mongoose.Schema({
   opportunity: {
     type: mongoose.Schema.Types.ObjectId,
@@ -155,9 +158,30 @@ const applicationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['submitted', 'reviewing', 'shortlisted', 'interview', 'accepted', 'rejected', 'withdrawn'],
+    enum: APPLICATION_STATUSES,
     default: 'submitted'
   },
+  // Every status change, oldest first
+  timeline: [{
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      required: true
+    },
+    previousStatus: {
+      type: String,
+      enum: APPLICATION_STATUSES
+    },
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   submittedAt: {
     type: Date,
     default: Date.now
@@ -202,6 +226,7 @@ const applicationSchema = new mongoose.Schema({
       default: Date.now
     }
   },
+  anonymizedAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -216,4 +241,12 @@ applicationSchema.index({ organization: 1, status: 1 });
 applicationSchema.index({ employee: 1, status: 1 });
 applicationSchema.index({ submittedAt: -1 });
 
+// Start the timeline with the submission
+applicationSchema.pre('save', function(next) {
+  if (this.isNew && this.timeline.length === 0) {
+    this.timeline.push({ status: this.status, changedAt: this.submittedAt });
+  }
+  next();
+});
+
 export default mongoose.model('Application', applicationSchema);
\ No newline at end of file
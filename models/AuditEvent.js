@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String,
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    // Admin acting on the user's behalf
+    impersonator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  target: {
+    type: {
+      type: String
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  // Organization the event belongs to, so its owners can review it
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for the organization and admin queries
+auditEventSchema.index({ organization: 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+// The log is append-only: recorded events can never be changed or removed
+const rejectChange = function() {
+  throw new Error('Audit events are append-only');
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Audit events are append-only'));
+  next();
+});
+
+auditEventSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+], rejectChange);
+
+auditEventSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, rejectChange);
+
+export default mongoose.model('AuditEvent', auditEventSchema);
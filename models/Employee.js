@@ -1,5 +1,15 @@
 import mongoose from 'mongoose';
 
+// Fields a profile needs before onboarding is complete (they become required from then on)
+export const EMPLOYEE_ONBOARDING_FIELDS = [
+  'personalInfo.firstName', 'personalInfo.lastName', 'personalInfo.dateOfBirth', 'personalInfo.phone',
+  'location.address', 'location.city', 'location.state', 'location.country'
+];
+
+function isOnboarded() {
+  return this.onboardingStatus !== 'pending';
+}
+
 const employeeSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,17 +19,17 @@ const employeeSchema = new mongoose.Schema({
   personalInfo: {
     firstName: {
       type: String,
-      required: [true, 'First name is required'],
+      required: [isOnboarded, 'First name is required'],
       trim: true
     },
     lastName: {
       type: String,
-      required: [true, 'Last name is required'],
+      required: [isOnboarded, 'Last name is required'],
       trim: true
     },
     dateOfBirth: {
       type: Date,
-      required: [true, 'Date of birth is required']
+      required: [isOnboarded, 'Date of birth is required']
     },
     gender: {
       type: String,
@@ -27,7 +37,7 @@ const employeeSchema = new mongoose.Schema({
     },
     phone: {
       type: String,
-      required: [true, 'Phone number is required']
+      required: [isOnboarded, 'Phone number is required']
     },
     profilePicture: {
       public_id: String,
@@ -37,19 +47,19 @@ const employeeSchema = new mongoose.Schema({
   location: {
     address: {
       type: String,
-      required: [true, 'Address is required']
+      required: [isOnboarded, 'Address is required']
     },
     city: {
       type: String,
-      required: [true, 'City is required']
+      required: [isOnboarded, 'City is required']
     },
     state: {
       type: String,
-      required: [true, 'State is required']
+      required: [isOnboarded, 'State is required']
     },
     country: {
       type: String,
-      required: [true, 'Country is required']
+      required: [isOnboarded, 'Country is required']
     },
     coordinates: {
       latitude: Number,
@@ -179,6 +189,11 @@ const employeeSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  onboardingStatus: {
+    type: String,
+    enum: ['pending', 'complete'],
+    default: 'complete'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -201,5 +216,18 @@ employeeSchema.index({
   'location.country': 'text'
 });
 
+// Complete onboarding as soon as every required profile field is filled in
+employeeSchema.pre('validate', function(next) {
+  if (this.onboardingStatus === 'pending' && this.getMissingOnboardingFields().length === 0) {
+    this.onboardingStatus = 'complete';
+  }
+  next();
+});
+
+// Required profile fields that are still empty
+employeeSchema.methods.getMissingOnboardingFields = function() {
+  return EMPLOYEE_ONBOARDING_FIELDS.filter(path => !this.get(path));
+};
+
 export default mongoose.model('Employee', employeeSchema);
 
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+const followSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// An employee follows an organization at most once
+followSchema.index({ employee: 1, organization: 1 }, { unique: true });
+followSchema.index({ organization: 1 });
+
+export default mongoose.model('Follow', followSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const lockoutEventSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  email: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  userAgent: String,
+  failures: {
+    type: Number,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  unlockedAt: Date,
+  unlockedVia: {
+    type: String,
+    enum: ['email', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for reviewing attack patterns
+lockoutEventSchema.index({ createdAt: -1 });
+lockoutEventSchema.index({ ip: 1, createdAt: -1 });
+lockoutEventSchema.index({ email: 1, createdAt: -1 });
+
+export default mongoose.model('LockoutEvent', lockoutEventSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+const loginThrottleSchema = new mongoose.Schema({
+  // "account:<email>" or "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Throttle records are removed by MongoDB once they are no longer relevant
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginThrottle', loginThrottleSchema);
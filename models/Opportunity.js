@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { APPLICATION_STATUSES } from './Application.js';
 
 const opportunitySchema = new mongoose.Schema({
   organization: {
@@ -95,9 +96,10 @@ const opportunitySchema = new mongoose.Schema({
     benefits: [String]
   },
   schedule: {
+    // Drafts may leave it open (copies and templates start without dates)
     startDate: {
       type: Date,
-      required: [true, 'Start date is required']
+      required: [function() { return this.status !== 'draft'; }, 'Start date is required']
     },
     endDate: Date,
     duration: {
@@ -134,6 +136,30 @@ const opportunitySchema = new mongoose.Schema({
     enum: ['draft', 'active', 'paused', 'closed', 'filled'],
     default: 'draft'
   },
+  // Overrides of the default application status transitions (see services/applicationStatusService.js)
+  statusTransitions: [{
+    _id: false,
+    from: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      required: true
+    },
+    to: [{
+      type: String,
+      enum: APPLICATION_STATUSES
+    }]
+  }],
+  // Last time the opportunity went live (shown in followers' feeds)
+  activatedAt: Date,
+  // Lifecycle handled by services/opportunityLifecycleService.js:
+  // drafts go live at publishAt, close after the deadline and fill once `openings` are accepted
+  publishAt: Date,
+  openings: {
+    type: Number,
+    min: 1
+  },
+  closedAt: Date,
+  filledAt: Date,
   visibility: {
     type: String,
     enum: ['public', 'private', 'invite-only'],
@@ -186,5 +212,21 @@ opportunitySchema.index({ type: 1, status: 1, isActive: 1 });
 opportunitySchema.index({ 'location.type': 1, 'location.country': 1 });
 opportunitySchema.index({ 'compensation.type': 1, 'schedule.startDate': 1 });
 
+// Feed queries for followed organizations
+opportunitySchema.index({ organization: 1, activatedAt: -1 });
+opportunitySchema.index({ organization: 1, 'application.deadline': -1 });
+
+// Scheduler sweeps
+opportunitySchema.index({ status: 1, publishAt: 1 });
+opportunitySchema.index({ status: 1, 'application.deadline': 1 });
+
+// Record when the opportunity goes live
+opportunitySchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'active') {
+    this.activatedAt = new Date();
+  }
+  next();
+});
+
 export default mongoose.model('Opportunity', opportunitySchema);
 
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const opportunityTemplateSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  // Opportunity fields copied into new opportunities (see services/opportunityTemplateService.js).
+  // They are validated when an opportunity is created from the template.
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  sourceOpportunity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Opportunity'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// Template names are unique within an organization
+opportunityTemplateSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('OpportunityTemplate', opportunityTemplateSchema);
@@ -1,5 +1,38 @@
 import mongoose from 'mongoose';
 
+// Fields a profile needs before onboarding is complete (they become required from then on)
+export const ORGANIZATION_ONBOARDING_FIELDS = [
+  'name', 'description', 'industry', 'size',
+  'location.address', 'location.city', 'location.state', 'location.country'
+];
+
+// Verification review: unverified -> pending -> verified | rejected (rejected can be resubmitted)
+export const VERIFICATION_STATUSES = ['unverified', 'pending', 'verified', 'rejected'];
+
+// Fields anyone may see on the public directory and profile pages
+export const PUBLIC_ORGANIZATION_FIELDS = [
+  'name', 'slug', 'description', 'website', 'industry', 'size',
+  'location.city', 'location.state', 'location.country',
+  'contact.linkedin', 'contact.twitter', 'logo', 'images', 'culture', 'rating', 'followerCount',
+  'verification.isVerified', 'verification.verifiedAt', 'createdAt'
+].join(' ');
+
+// URL-friendly version of a name, e.g. "Acme Labs, Inc." -> "acme-labs-inc"
+const slugify = (value) => value
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60);
+
+// Fallback slug for a name another organization already uses
+const slugWithId = (base, id) => `${base}-${id.toString().slice(-6)}`;
+
+function isOnboarded() {
+  return this.onboardingStatus !== 'pending';
+}
+
 const organizationSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -8,43 +41,49 @@ const organizationSchema = new mongoose.Schema({
   },
   name: {
     type: String,
-    required: [true, 'Organization name is required'],
+    required: [isOnboarded, 'Organization name is required'],
     trim: true
   },
   description: {
     type: String,
-    required: [true, 'Organization description is required'],
+    required: [isOnboarded, 'Organization description is required'],
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Public profile address, derived from the name once and then kept stable
+  slug: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
   website: {
     type: String,
     trim: true
   },
   industry: {
     type: String,
-    required: [true, 'Industry is required']
+    required: [isOnboarded, 'Industry is required']
   },
   size: {
     type: String,
     enum: ['1-10', '11-50', '51-200', '201-500', '500+'],
-    required: [true, 'Organization size is required']
+    required: [isOnboarded, 'Organization size is required']
   },
   location: {
     address: {
       type: String,
-      required: [true, 'Address is required']
+      required: [isOnboarded, 'Address is required']
     },
     city: {
       type: String,
-      required: [true, 'City is required']
+      required: [isOnboarded, 'City is required']
     },
     state: {
       type: String,
-      required: [true, 'State is required']
+      required: [isOnboarded, 'State is required']
     },
     country: {
       type: String,
-      required: [true, 'Country is required']
+      required: [isOnboarded, 'Country is required']
     },
     coordinates: {
       latitude: Number,
@@ -70,17 +109,44 @@ const organizationSchema = new mongoose.Schema({
     caption: String
   }],
   verification: {
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: 'unverified'
+    },
     isVerified: {
       type: Boolean,
       default: false
     },
     verifiedAt: Date,
     documents: [{
-      type: String,
+      // Kind of document, e.g. business registration or tax certificate
+      type: {
+        type: String
+      },
+      name: String,
       public_id: String,
-      url: String
-    }]
+      url: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: String
   },
+  followerCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Last change to the public profile (shown in followers' feeds)
+  profileUpdatedAt: Date,
   rating: {
     average: {
       type: Number,
@@ -163,6 +229,21 @@ const organizationSchema = new mongoose.Schema({
     benefits: [String],
     perks: [String]
   },
+  settings: {
+    requireVerifiedCandidates: {
+      type: Boolean,
+      default: false
+    },
+    requireTwoFactor: {
+      type: Boolean,
+      default: false
+    }
+  },
+  onboardingStatus: {
+    type: String,
+    enum: ['pending', 'complete'],
+    default: 'complete'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -180,5 +261,61 @@ organizationSchema.index({
   'location.country': 'text'
 });
 
+organizationSchema.index({ slug: 1 }, { unique: true, sparse: true });
+
+// Index for the admin review queue
+organizationSchema.index({ 'verification.status': 1, 'verification.submittedAt': 1 });
+
+// Complete onboarding as soon as every required profile field is filled in
+organizationSchema.pre('validate', function(next) {
+  if (this.onboardingStatus === 'pending' && this.getMissingOnboardingFields().length === 0) {
+    this.onboardingStatus = 'complete';
+  }
+  next();
+});
+
+// Give the organization a slug as soon as it has a name
+organizationSchema.pre('validate', async function() {
+  if (this.slug || !this.name) return;
+
+  await this.generateSlug();
+});
+
+// Slug from the name, with the end of the id appended when another organization already has it
+organizationSchema.methods.generateSlug = async function() {
+  const base = slugify(this.name) || 'organization';
+  const taken = await this.constructor.exists({ slug: base, _id: { $ne: this._id } });
+
+  this.slug = taken ? slugWithId(base, this._id) : base;
+  this.$locals.slugBase = taken ? undefined : base;
+  return this.slug;
+};
+
+// Another organization can take the same slug between the check above and the write.
+// When that is why the write failed, switch to the id-suffixed slug and return true so it can be retried.
+organizationSchema.methods.resolveSlugConflict = function(error) {
+  const base = this.$locals.slugBase;
+  if (error?.code !== 11000 || !error.keyPattern?.slug || !base) return false;
+
+  this.slug = slugWithId(base, this._id);
+  this.$locals.slugBase = undefined;
+  return true;
+};
+
+// Save, retrying once with the id-suffixed slug if the generated one was taken concurrently
+organizationSchema.methods.saveWithSlug = async function(options) {
+  try {
+    return await this.save(options);
+  } catch (error) {
+    if (!this.resolveSlugConflict(error)) throw error;
+    return this.save(options);
+  }
+};
+
+// Required profile fields that are still empty
+organizationSchema.methods.getMissingOnboardingFields = function() {
+  return ORGANIZATION_ONBOARDING_FIELDS.filter(path => !this.get(path));
+};
+
 export default mongoose.model('Organization', organizationSchema);
 
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+export const MEMBER_ROLES = ['owner', 'recruiter', 'hiring-manager', 'viewer'];
+
+const organizationMemberSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    required: [true, 'Role is required']
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active'],
+    default: 'invited'
+  },
+  invitationToken: String,
+  invitationExpires: Date,
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: Date
+}, {
+  timestamps: true
+});
+
+// One membership per email per organization
+organizationMemberSchema.index({ organization: 1, email: 1 }, { unique: true });
+organizationMemberSchema.index({ user: 1, status: 1 });
+
+/**
+ * Find the active membership of a user, optionally for a specific organization.
+ * Organizations created before team accounts only have Organization.user, so an
+ * owner membership is created for them on first use. Once an organization has any
+ * membership its team is managed there, and a removed creator is not restored.
+ */
+organizationMemberSchema.statics.resolveForUser = async function(user, organizationId) {
+  const filter = { user: user._id, status: 'active' };
+  if (organizationId) filter.organization = organizationId;
+
+  const membership = await this.findOne(filter).sort({ joinedAt: 1 }).populate('organization');
+  if (membership?.organization) return membership;
+
+  const Organization = mongoose.model('Organization');
+  const ownedFilter = { user: user._id };
+  if (organizationId) ownedFilter._id = organizationId;
+
+  const organization = await Organization.findOne(ownedFilter);
+  if (!organization || await this.exists({ organization: organization._id })) return null;
+
+  let owner;
+  try {
+    owner = await this.create({
+      organization: organization._id,
+      user: user._id,
+      email: user.email,
+      role: 'owner',
+      status: 'active',
+      joinedAt: organization.createdAt || new Date()
+    });
+  } catch (error) {
+    // A concurrent request created the owner membership first
+    if (error.code === 11000) {
+      return this.findOne({ ...filter, organization: organization._id }).populate('organization');
+    }
+    throw error;
+  }
+  owner.organization = organization;
+  return owner;
+};
+
+// Remove the invitation token from JSON output
+organizationMemberSchema.methods.toJSON = function() {
+  const member = this.toObject();
+  delete member.invitationToken;
+  return member;
+};
+
+export default mongoose.model('OrganizationMember', organizationMemberSchema);
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+// Aspects a participant rates from 1 to 5 stars (only the overall rating is required)
+export const REVIEW_DIMENSIONS = ['overall', 'communication', 'workEnvironment', 'learning', 'management'];
+
+export const REPORT_REASONS = ['spam', 'offensive', 'false-information', 'conflict-of-interest', 'other'];
+
+const starRating = (required) => ({
+  type: Number,
+  min: [1, 'Ratings must be between 1 and 5'],
+  max: [5, 'Ratings must be between 1 and 5'],
+  validate: {
+    validator: Number.isInteger,
+    message: 'Ratings must be whole stars'
+  },
+  ...(required && { required: [true, 'Overall rating is required'] })
+});
+
+const reviewSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  opportunity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Opportunity',
+    required: true
+  },
+  // The accepted application the review is about (one review per engagement)
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true,
+    unique: true
+  },
+  ratings: REVIEW_DIMENSIONS.reduce((ratings, dimension) => {
+    ratings[dimension] = starRating(dimension === 'overall');
+    return ratings;
+  }, {}),
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  text: {
+    type: String,
+    required: [true, 'Review text is required'],
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters']
+  },
+  // Public reply from the organization
+  response: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Response cannot exceed 1000 characters']
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  },
+  // Hidden reviews are not listed and do not count towards the rating
+  status: {
+    type: String,
+    enum: ['published', 'hidden'],
+    default: 'published'
+  },
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true
+    },
+    details: {
+      type: String,
+      maxlength: [500, 'Details cannot exceed 500 characters']
+    },
+    // Only reports from employees count towards hiding the review automatically
+    counted: {
+      type: Boolean,
+      default: false
+    },
+    reportedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // 'open' while reports wait for an admin decision
+  moderation: {
+    status: {
+      type: String,
+      enum: ['none', 'open', 'resolved'],
+      default: 'none'
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ organization: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ employee: 1 });
+reviewSchema.index({ 'moderation.status': 1, updatedAt: 1 });
+
+export default mongoose.model('Review', reviewSchema);
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Impersonation sessions have no refresh token
+  refreshTokenHash: {
+    type: String,
+    required: function() {
+      return !this.impersonation?.admin;
+    }
+  },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password-reset', 'password-changed', 'refresh-token-reuse', 'impersonation-ended']
+  },
+  // Set when an admin is using this session to impersonate the user
+  impersonation: {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    allowWrites: Boolean
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing a user's sessions
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Remove the refresh token hash from JSON output
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  return session;
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -16,7 +17,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['organization', 'employee'],
+    enum: ['organization', 'employee', 'admin'],
     required: [true, 'Role is required']
   },
   isActive: {
@@ -31,12 +32,70 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  // New address waiting to be confirmed before it replaces the current one
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailChangeToken: String,
+  emailChangeExpires: Date,
   passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  unlockToken: String,
+  unlockTokenExpires: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date
+  }
 }, {
   timestamps: true
 });
 
+// Index for external identity lookups
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -44,6 +103,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Record the change so tokens issued before it stop working
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -55,13 +119,80 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Hash a one-time token for storage
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create an email verification token (only the hash is stored)
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || '24');
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Create a token confirming a change to a new address (only the hash is stored)
+userSchema.methods.createEmailChangeToken = function(newEmail) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || '24');
+
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = this.constructor.hashToken(token);
+  this.emailChangeExpires = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Create a password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES || '60');
+
+  this.passwordResetToken = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Create an account unlock token (only the hash is stored)
+userSchema.methods.createUnlockToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expireHours = parseInt(process.env.UNLOCK_TOKEN_EXPIRE_HOURS || '24');
+
+  this.unlockToken = this.constructor.hashToken(token);
+  this.unlockTokenExpires = new Date(Date.now() + expireHours * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Check whether the password changed after a token was issued (iat in seconds)
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
   delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.emailChangeToken;
+  delete user.emailChangeExpires;
   delete user.passwordResetToken;
   delete user.passwordResetExpires;
+  delete user.unlockToken;
+  delete user.unlockTokenExpires;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
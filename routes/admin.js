@@ -0,0 +1,734 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import Employee from '../models/Employee.js';
+import Opportunity from '../models/Opportunity.js';
+import Application from '../models/Application.js';
+import LockoutEvent from '../models/LockoutEvent.js';
+import Session from '../models/Session.js';
+import Review from '../models/Review.js';
+import { verifyToken, requireRole } from '../middleware/auth.js';
+import sessionService from '../services/sessionService.js';
+import auditService from '../services/auditService.js';
+import verificationService from '../services/verificationService.js';
+import reviewService from '../services/reviewService.js';
+
+const router = express.Router();
+
+// Apply authentication and role check to all routes
+router.use(verifyToken);
+router.use(requireRole(['admin']));
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Filters accepted by the audit log query
+const auditQueryValidation = [
+  query('action').optional().isString().withMessage('Action must be a string'),
+  query('actor').optional().isMongoId().withMessage('Actor must be a valid user ID'),
+  query('organization').optional().isMongoId().withMessage('Organization must be a valid ID'),
+  query('targetType').optional().isString().withMessage('Target type must be a string'),
+  query('targetId').optional().isMongoId().withMessage('Target must be a valid ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
+
+// Turn an aggregation of { _id, count } into { [_id]: count }
+const toCountMap = (rows) => rows.reduce((counts, row) => {
+  counts[row._id] = row.count;
+  return counts;
+}, {});
+
+// @route   GET /api/admin/stats
+// @desc    Get platform-wide counts
+// @access  Private (Admin)
+router.get('/stats', async (req, res) => {
+  try {
+    const [
+      usersByRole,
+      activeUsers,
+      totalOrganizations,
+      totalEmployees,
+      opportunitiesByStatus,
+      applicationsByStatus
+    ] = await Promise.all([
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+      User.countDocuments({ isActive: true }),
+      Organization.countDocuments({ isActive: true }),
+      Employee.countDocuments({ isActive: true }),
+      Opportunity.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      Application.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const usersCount = toCountMap(usersByRole);
+    const opportunitiesCount = toCountMap(opportunitiesByStatus);
+    const applicationsCount = toCountMap(applicationsByStatus);
+
+    res.json({
+      status: 'success',
+      data: {
+        stats: {
+          users: {
+            total: Object.values(usersCount).reduce((sum, count) => sum + count, 0),
+            active: activeUsers,
+            byRole: usersCount
+          },
+          organizations: totalOrganizations,
+          employees: totalEmployees,
+          opportunities: {
+            total: Object.values(opportunitiesCount).reduce((sum, count) => sum + count, 0),
+            byStatus: opportunitiesCount
+          },
+          applications: {
+            total: Object.values(applicationsCount).reduce((sum, count) => sum + count, 0),
+            byStatus: applicationsCount
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch platform stats',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users
+// @desc    List and search users
+// @access  Private (Admin)
+router.get('/users', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, role, isActive } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = {};
+    if (search) filter.email = new RegExp(escapeRegex(search), 'i');
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      status: 'success',
+      data: {
+        users,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch users',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their profile
+// @access  Private (Admin)
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    let profile = null;
+    if (user.role === 'organization') {
+      profile = await Organization.findOne({ user: user._id });
+    } else if (user.role === 'employee') {
+      profile = await Employee.findOne({ user: user._id });
+    }
+
+    res.json({
+      status: 'success',
+      data: { user, profile }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/deactivate
+// @desc    Deactivate an account and end its sessions
+// @access  Private (Admin)
+router.put('/users/:id/deactivate', async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const wasActive = user.isActive;
+    user.isActive = false;
+    await user.save();
+    await sessionService.revokeAllForUser(user._id);
+
+    await auditService.record(req, {
+      action: 'admin.user-deactivated',
+      target: { type: 'user', id: user._id },
+      changes: { before: { isActive: wasActive }, after: { isActive: false } }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'User deactivated successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to deactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/reactivate
+// @desc    Reactivate a deactivated account
+// @access  Private (Admin)
+router.put('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    const wasActive = user.isActive;
+    user.isActive = true;
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'admin.user-reactivated',
+      target: { type: 'user', id: user._id },
+      changes: { before: { isActive: wasActive }, after: { isActive: true } }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'User reactivated successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reactivate user',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Start a short-lived, read-only (unless allowWrites) session as another user
+// @access  Private (Admin)
+router.post('/users/:id/impersonate', [
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required'),
+  body('allowWrites').optional().isBoolean().withMessage('allowWrites must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Admin accounts cannot be impersonated'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Deactivated accounts cannot be impersonated'
+      });
+    }
+
+    const allowWrites = req.body.allowWrites === true;
+    const { session, token } = await sessionService.createImpersonationSession(req.user, user, req, {
+      reason: req.body.reason,
+      allowWrites
+    });
+
+    await auditService.record(req, {
+      action: 'admin.impersonation-started',
+      target: { type: 'user', id: user._id },
+      metadata: { session: session._id, reason: req.body.reason, allowWrites }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: `Impersonating ${user.email}`,
+      data: {
+        token,
+        impersonation: {
+          session: session._id,
+          user: { id: user._id, email: user.email, role: user.role },
+          allowWrites,
+          expiresAt: session.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin impersonate error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to start impersonation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/impersonations/:sessionId
+// @desc    End an impersonation session early
+// @access  Private (Admin)
+router.delete('/impersonations/:sessionId', async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      'impersonation.admin': { $exists: true },
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Impersonation session not found'
+      });
+    }
+
+    await sessionService.revoke(session, 'impersonation-ended');
+
+    await auditService.record(req, {
+      action: 'admin.impersonation-ended',
+      target: { type: 'user', id: session.user },
+      metadata: { session: session._id }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Impersonation ended'
+    });
+
+  } catch (error) {
+    console.error('Admin end impersonation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to end impersonation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/organizations/:id
+// @desc    View any organization
+// @access  Private (Admin)
+router.get('/organizations/:id', async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id)
+      .populate('user', 'email isActive emailVerified lastLogin');
+
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organization not found'
+      });
+    }
+
+    const [opportunities, applications] = await Promise.all([
+      Opportunity.countDocuments({ organization: organization._id, isActive: true }),
+      Application.countDocuments({ organization: organization._id, isActive: true })
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        organization,
+        stats: { opportunities, applications }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get organization error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch organization',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/verifications
+// @desc    Review queue of organizations waiting for verification, oldest first
+// @access  Private (Admin)
+router.get('/verifications', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { organizations, pagination } = await verificationService.listPending({ page, limit });
+
+    res.json({
+      status: 'success',
+      data: { organizations, pagination }
+    });
+
+  } catch (error) {
+    console.error('Admin get verifications error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch verification requests',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/organizations/:id/verification
+// @desc    Approve or reject a pending verification request (a reason is required to reject)
+// @access  Private (Admin)
+router.put('/organizations/:id/verification', [
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('reason')
+    .if(body('decision').equals('reject'))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason (up to 500 characters) is required to reject a request')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organization not found'
+      });
+    }
+
+    const approve = req.body.decision === 'approve';
+    const verification = await verificationService.review(organization, req.user, {
+      approve,
+      reason: req.body.reason
+    });
+
+    await auditService.record(req, {
+      action: approve ? 'organization.verification-approved' : 'organization.verification-rejected',
+      target: { type: 'organization', id: organization._id },
+      organization: organization._id,
+      metadata: approve ? undefined : { reason: req.body.reason }
+    });
+
+    res.json({
+      status: 'success',
+      message: approve ? 'Organization verified' : 'Verification request rejected',
+      data: { verification }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Admin review verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to review verification request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/opportunities/:id
+// @desc    View any opportunity, including inactive ones
+// @access  Private (Admin)
+router.get('/opportunities/:id', async (req, res) => {
+  try {
+    const opportunity = await Opportunity.findById(req.params.id)
+      .populate('organization', 'name logo industry size location contact');
+
+    if (!opportunity) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Opportunity not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { opportunity }
+    });
+
+  } catch (error) {
+    console.error('Admin get opportunity error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch opportunity',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/applications/:id
+// @desc    View any application
+// @access  Private (Admin)
+router.get('/applications/:id', async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id)
+      .populate('opportunity', 'title type category location')
+      .populate('employee', 'personalInfo skills location user')
+      .populate('organization', 'name logo industry');
+
+    if (!application) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Application not found'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      data: { application }
+    });
+
+  } catch (error) {
+    console.error('Admin get application error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch application',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews/reported
+// @desc    Reviews with open abuse reports, oldest first
+// @access  Private (Admin)
+router.get('/reviews/reported', async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { reviews, pagination } = await reviewService.listReported({ page, limit });
+
+    res.json({
+      status: 'success',
+      data: { reviews, pagination }
+    });
+
+  } catch (error) {
+    console.error('Admin get reported reviews error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch reported reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/admin/reviews/:id/moderation
+// @desc    Resolve the reports on a review by keeping or removing it
+// @access  Private (Admin)
+router.put('/reviews/:id/moderation', [
+  body('action').isIn(['keep', 'remove']).withMessage('Action must be keep or remove'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    const before = auditService.snapshot(review, ['status']);
+    await reviewService.moderate(review, req.user, req.body);
+
+    await auditService.record(req, {
+      action: 'review.moderated',
+      target: { type: 'review', id: review._id },
+      organization: review.organization,
+      changes: auditService.diff(before, auditService.snapshot(review, ['status'])),
+      metadata: { action: req.body.action, note: req.body.note, reports: review.reports.length }
+    });
+
+    res.json({
+      status: 'success',
+      message: req.body.action === 'keep' ? 'Review kept published' : 'Review removed',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Admin moderate review error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to moderate review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/lockout-events
+// @desc    Review login lockouts (filter by scope, ip or email)
+// @access  Private (Admin)
+router.get('/lockout-events', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, scope, ip, email } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (scope) filter.scope = scope;
+    if (ip) filter.ip = ip;
+    if (email) filter.email = email.toLowerCase();
+
+    const events = await LockoutEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LockoutEvent.countDocuments(filter);
+
+    res.json({
+      status: 'success',
+      data: {
+        events,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get lockout events error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch lockout events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-events
+// @desc    Query the audit log across the platform (filter by organization, actor, target, action or date)
+// @access  Private (Admin)
+router.get('/audit-events', auditQueryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const filter = auditService.buildFilter(req.query);
+    if (req.query.organization) filter.organization = req.query.organization;
+
+    const { events, pagination } = await auditService.query(filter, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: { events, pagination }
+    });
+
+  } catch (error) {
+    console.error('Admin get audit events error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch audit events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -1,18 +1,26 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Application from '../models/Application.js';
+import Application, { APPLICATION_STATUSES } from '../models/Application.js';
 import Opportunity from '../models/Opportunity.js';
-import Organization from '../models/Organization.js';
 import Employee from '../models/Employee.js';
-import { verifyToken, requireRole } from '../middleware/auth.js';
+import { verifyToken, requireTwoFactor } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
 import { uploadFields, handleUploadError } from '../middleware/upload.js';
+import auditService from '../services/auditService.js';
+import applicationStatusService from '../services/applicationStatusService.js';
 
 const router = express.Router();
 
+// Statuses an organization can set (candidates withdraw through their own route)
+const ORGANIZATION_STATUSES = APPLICATION_STATUSES.filter(status => status !== 'withdrawn');
+
+// Load the active application in the URL for a policy check
+const loadApplication = (req) => Application.findOne({ _id: req.params.id, isActive: true });
+
 // @route   POST /api/applications
 // @desc    Submit application for an opportunity
 // @access  Private (Employee)
-router.post('/', verifyToken, requireRole(['employee']), async (req, res) => {
+router.post('/', verifyToken, authorize('applications:create'), async (req, res) => {
   try {
     // Handle FormData validation differently
     const { opportunityId, applicationData } = req.body;
@@ -67,6 +75,14 @@ router.post('/', verifyToken, requireRole(['employee']), async (req, res) => {
       });
     }
 
+    // Some organizations only accept candidates with a verified email address
+    if (opportunity.organization.settings?.requireVerifiedCandidates && !req.user.emailVerified) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'This organization requires a verified email address. Please verify your email before applying.'
+      });
+    }
+
     // Check if application deadline has passed
     if (opportunity.application?.deadline && new Date(opportunity.application.deadline) < new Date()) {
       return res.status(400).json({
@@ -165,7 +181,7 @@ router.post('/', verifyToken, requireRole(['employee']), async (req, res) => {
 // @route   GET /api/applications
 // @desc    Get applications for current user (Employee) or organization (Organization)
 // @access  Private
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, requireTwoFactor, authorize('applications:read'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, opportunityId } = req.query;
     const skip = (page - 1) * limit;
@@ -184,14 +200,7 @@ router.get('/', verifyToken, async (req, res) => {
       filter.employee = employee._id;
     } else if (req.user.role === 'organization') {
       // Get organization's received applications
-      const organization = await Organization.findOne({ user: req.user._id });
-      if (!organization) {
-      return res.status(404).json({
-        status: 'error',
-          message: 'Organization profile not found'
-        });
-      }
-      filter.organization = organization._id;
+      filter.organization = req.organization._id;
     }
 
     if (status) filter.status = status;
@@ -232,42 +241,21 @@ router.get('/', verifyToken, async (req, res) => {
 // @route   GET /api/applications/:id
 // @desc    Get single application by ID
 // @access  Private
-router.get('/:id', verifyToken, async (req, res) => {
+router.get('/:id', verifyToken, requireTwoFactor, authorize('applications:read', {
+  load: loadApplication,
+  notFound: 'Application not found'
+}), async (req, res) => {
   try {
-    const application = await Application.findById(req.params.id)
-      .populate('opportunity', 'title type category location compensation schedule requirements')
-      .populate('employee', 'personalInfo skills interests location')
-      .populate('organization', 'name logo industry size location');
-
-    if (!application || !application.isActive) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Application not found'
-      });
-    }
-
-    // Check if user has access to this application
-    if (req.user.role === 'employee') {
-      const employee = await Employee.findOne({ user: req.user._id });
-      if (!employee || application.employee.toString() !== employee._id.toString()) {
-        return res.status(403).json({
-          status: 'error',
-          message: 'Access denied'
-        });
-      }
-    } else if (req.user.role === 'organization') {
-      const organization = await Organization.findOne({ user: req.user._id });
-      if (!organization || application.organization.toString() !== organization._id.toString()) {
-      return res.status(403).json({
-        status: 'error',
-        message: 'Access denied'
-      });
-      }
-    }
+    const application = await req.resource.populate([
+      { path: 'opportunity', select: 'title type category location compensation schedule requirements' },
+      { path: 'employee', select: 'personalInfo skills interests location' },
+      { path: 'organization', select: 'name logo industry size location' }
+    ]);
+    const allowedTransitions = await applicationStatusService.getAllowedTransitions(application, req.actor);
 
     res.json({
       status: 'success',
-      data: { application }
+      data: { application, allowedTransitions }
     });
 
   } catch (error) {
@@ -283,8 +271,11 @@ router.get('/:id', verifyToken, async (req, res) => {
 // @route   PUT /api/applications/:id/status
 // @desc    Update application status (Organization only)
 // @access  Private (Organization)
-router.put('/:id/status', verifyToken, requireRole(['organization']), [
-  body('status').isIn(['submitted', 'reviewing', 'shortlisted', 'interview', 'accepted', 'rejected']).withMessage('Invalid status'),
+router.put('/:id/status', verifyToken, requireTwoFactor, authorize('applications:write', {
+  load: loadApplication,
+  notFound: 'Application not found'
+}), [
+  body('status').customSanitizer(status => applicationStatusService.normalize(status)).isIn(ORGANIZATION_STATUSES).withMessage('Invalid status'),
   body('note').optional().isString().withMessage('Note must be a string'),
   body('interviewData').optional().isObject().withMessage('Interview data must be an object')
 ], async (req, res) => {
@@ -300,59 +291,23 @@ router.put('/:id/status', verifyToken, requireRole(['organization']), [
 
     const { status, note, interviewData } = req.body;
 
-    const organization = await Organization.findOne({ user: req.user._id });
-    if (!organization) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Organization profile not found'
-      });
-    }
+    const application = req.resource;
+    const before = auditService.snapshot(application, ['status', 'interviewData']);
 
-    const application = await Application.findOne({
-      _id: req.params.id,
-      organization: organization._id,
-      isActive: true
+    await applicationStatusService.changeStatus(application, status, {
+      actor: req.actor,
+      user: req.user,
+      note,
+      interviewData
     });
 
-    if (!application) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Application not found'
-      });
-    }
-
-    // Update application status
-    application.status = status;
-    if (note) {
-      application.notes = application.notes || [];
-      application.notes.push({
-        note,
-        addedBy: req.user._id,
-        addedAt: new Date()
-      });
-    }
-
-    // Handle interview data
-    if (status === 'interview' && interviewData) {
-      application.interviewData = {
-        ...interviewData,
-        datetime: new Date(interviewData.datetime),
-        scheduledAt: new Date()
-      };
-    }
-
-    // Set status-specific dates
-    if (status === 'reviewing') {
-      application.reviewedAt = new Date();
-    } else if (status === 'shortlisted') {
-      application.shortlistedAt = new Date();
-    } else if (status === 'accepted') {
-      application.acceptedAt = new Date();
-    } else if (status === 'rejected') {
-      application.rejectedAt = new Date();
-    }
-
-    await application.save();
+    await auditService.record(req, {
+      action: 'application.status-updated',
+      target: { type: 'application', id: application._id },
+      organization: application.organization,
+      changes: auditService.diff(before, auditService.snapshot(application, ['status', 'interviewData'])),
+      metadata: note ? { note } : undefined
+    });
 
     // Populate application with related data
     await application.populate([
@@ -360,14 +315,22 @@ router.put('/:id/status', verifyToken, requireRole(['organization']), [
       { path: 'employee', select: 'personalInfo.firstName personalInfo.lastName' },
       { path: 'organization', select: 'name' }
     ]);
+    const allowedTransitions = await applicationStatusService.getAllowedTransitions(application, req.actor);
 
     res.json({
       status: 'success',
       message: 'Application status updated successfully',
-      data: { application }
+      data: { application, allowedTransitions }
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Update application status error:', error);
     res.status(500).json({
       status: 'error',
@@ -380,28 +343,12 @@ router.put('/:id/status', verifyToken, requireRole(['organization']), [
 // @route   PUT /api/applications/:id/withdraw
 // @desc    Withdraw application (Employee only)
 // @access  Private (Employee)
-router.put('/:id/withdraw', verifyToken, requireRole(['employee']), async (req, res) => {
+router.put('/:id/withdraw', verifyToken, authorize('applications:withdraw', {
+  load: loadApplication,
+  notFound: 'Application not found'
+}), async (req, res) => {
   try {
-    const employee = await Employee.findOne({ user: req.user._id });
-    if (!employee) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Employee profile not found'
-      });
-    }
-
-    const application = await Application.findOne({
-      _id: req.params.id,
-      employee: employee._id,
-      isActive: true
-    });
-
-    if (!application) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Application not found'
-      });
-    }
+    const application = req.resource;
 
     if (application.status === 'accepted') {
       return res.status(400).json({
@@ -411,9 +358,17 @@ router.put('/:id/withdraw', verifyToken, requireRole(['employee']), async (req,
     }
 
     // Withdraw application
-    application.status = 'withdrawn';
-    application.withdrawnAt = new Date();
-    await application.save();
+    const { previousStatus } = await applicationStatusService.changeStatus(application, 'withdrawn', {
+      actor: req.actor,
+      user: req.user
+    });
+
+    await auditService.record(req, {
+      action: 'application.withdrawn',
+      target: { type: 'application', id: application._id },
+      organization: application.organization,
+      changes: auditService.diff({ status: previousStatus }, { status: application.status })
+    });
 
     res.json({
       status: 'success',
@@ -421,6 +376,13 @@ router.put('/:id/withdraw', verifyToken, requireRole(['employee']), async (req,
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Withdraw application error:', error);
     res.status(500).json({
       status: 'error',
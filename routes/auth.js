@@ -1,9 +1,19 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import crypto from 'crypto';
+import { body, query, validationResult } from 'express-validator';
 import User from '../models/User.js';
-import Organization from '../models/Organization.js';
+import OrganizationMember from '../models/OrganizationMember.js';
 import Employee from '../models/Employee.js';
-import { generateToken, verifyToken } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import { verifyToken, rejectImpersonation, requireRole, generateToken, generateChallengeToken, verifyChallengeToken } from '../middleware/auth.js';
+import mailService from '../services/mailService.js';
+import sessionService from '../services/sessionService.js';
+import loginProtectionService from '../services/loginProtectionService.js';
+import totpService from '../services/totpService.js';
+import accountService from '../services/accountService.js';
+import oidcService from '../services/oidcService.js';
+import membershipService from '../services/membershipService.js';
+import auditService from '../services/auditService.js';
 
 const router = express.Router();
 
@@ -11,9 +21,128 @@ const router = express.Router();
 const registerValidation = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-  body('role').isIn(['organization', 'employee']).withMessage('Role must be either organization or employee')
+  body('role').isIn(['organization', 'employee']).withMessage('Role must be either organization or employee'),
+  body('invitationToken').optional().isString().withMessage('Invitation token must be a string'),
+  // Profile fields may be completed during onboarding, but must be valid when given
+  body('name').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Organization name must be less than 200 characters'),
+  body('description').optional().trim().isLength({ min: 1, max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('website').optional().isURL().withMessage('Website must be a valid URL'),
+  body('industry').optional().trim().notEmpty().withMessage('Industry cannot be empty'),
+  body('size').optional().isIn(['1-10', '11-50', '51-200', '201-500', '500+']).withMessage('Invalid organization size'),
+  body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty'),
+  body('lastName').optional().trim().notEmpty().withMessage('Last name cannot be empty'),
+  body('dateOfBirth').optional().isISO8601().withMessage('Date of birth must be a valid date'),
+  body('gender').optional().isIn(['male', 'female', 'other', 'prefer-not-to-say']).withMessage('Invalid gender'),
+  body('phone').optional().trim().isLength({ min: 10 }).withMessage('Valid phone number is required'),
+  body(['address', 'city', 'state', 'country']).optional().trim().notEmpty().withMessage('Location fields cannot be empty')
 ];
 
+const emailValidation = [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+];
+
+const tokenValidation = [
+  body('token').isString().notEmpty().withMessage('Token is required')
+];
+
+// Issue a fresh verification token and email it to the user
+const sendVerification = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+  await mailService.sendVerificationEmail(user.email, token);
+};
+
+// Respond to a login attempt rejected by brute-force protection
+const sendLoginBlocked = (res, protection) => {
+  res.set('Retry-After', String(protection.retryAfter));
+  return res.status(protection.status).json({
+    status: 'error',
+    message: protection.message,
+    retryAfter: protection.retryAfter
+  });
+};
+
+// Secret fields needed to check a second factor
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Check a TOTP or recovery code. Consumes the recovery code or records the used
+// time step so the same code cannot be replayed; the caller saves the user.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totpService.verify(user.twoFactor.secret, code, user.twoFactor.lastUsedStep ?? -1);
+    if (step === null) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = User.hashToken(totpService.normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Generate recovery codes, store their hashes and return the plain codes (shown once)
+const issueRecoveryCodes = (user) => {
+  const codes = totpService.generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => User.hashToken(code));
+  return codes;
+};
+
+// Finish a successful login: reset throttling, start a session and return the profile
+const completeLogin = async (user, req, res) => {
+  await loginProtectionService.recordSuccess(user.email);
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Get user profile
+  let profile = null;
+  if (user.role === 'organization') {
+    profile = (await OrganizationMember.resolveForUser(user))?.organization || null;
+  } else if (user.role === 'employee') {
+    profile = await Employee.findOne({ user: user._id });
+  }
+
+  // Start a session
+  const { token, refreshToken } = await sessionService.createSession(user, req);
+
+  await auditService.record(req, {
+    action: 'auth.login',
+    actor: user,
+    target: { type: 'user', id: user._id },
+    organization: user.role === 'organization' ? profile : undefined
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactor?.enabled || false,
+        lastLogin: user.lastLogin
+      },
+      profile: profile,
+      twoFactorSetupRequired: Boolean(
+        user.role === 'organization' && !user.twoFactor?.enabled && profile?.settings?.requireTwoFactor
+      ),
+      token,
+      refreshToken
+    }
+  });
+};
+
 const loginValidation = [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
   body('password').notEmpty().withMessage('Password is required')
@@ -34,7 +163,7 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
-    const { email, password, role, ...additionalData } = req.body;
+    const { email, password, role, invitationToken, ...additionalData } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -45,51 +174,44 @@ router.post('/register', registerValidation, async (req, res) => {
       });
     }
 
-    // Create user
-    const user = new User({ email, password, role });
-    await user.save();
+    // Teammates join the inviting organization instead of creating their own
+    let invitation = null;
+    if (invitationToken) {
+      invitation = await membershipService.findInvitation(invitationToken);
 
-    // Create profile based on role
-    let profile;
-    if (role === 'organization') {
-      profile = new Organization({
-        user: user._id,
-        name: additionalData.name || 'New Organization',
-        description: additionalData.description || 'Organization description',
-        industry: additionalData.industry || 'Technology',
-        size: additionalData.size || '1-10',
-        location: {
-          address: additionalData.address || 'Not specified',
-          city: additionalData.city || 'Not specified',
-          state: additionalData.state || 'Not specified',
-          country: additionalData.country || 'Not specified'
-        },
-        contact: {
-          email: email
-        }
-      });
-    } else {
-      profile = new Employee({
-        user: user._id,
-        personalInfo: {
-          firstName: additionalData.firstName || 'User',
-          lastName: additionalData.lastName || 'Name',
-          dateOfBirth: additionalData.dateOfBirth || new Date('1990-01-01'),
-          phone: additionalData.phone || 'Not specified'
-        },
-        location: {
-          address: additionalData.address || 'Not specified',
-          city: additionalData.city || 'Not specified',
-          state: additionalData.state || 'Not specified',
-          country: additionalData.country || 'Not specified'
-        }
-      });
+      if (!invitation || role !== 'organization' || invitation.email !== email) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invitation is invalid, has expired or was sent to a different email address'
+        });
+      }
     }
 
-    await profile.save();
+    // Create user and profile (in one transaction)
+    const { user, profile } = await accountService.createAccount({
+      email,
+      password,
+      role,
+      invitation,
+      profileData: additionalData
+    });
+
+    await auditService.record(req, {
+      action: 'auth.register',
+      actor: user,
+      target: { type: 'user', id: user._id },
+      organization: role === 'organization' ? profile : undefined
+    });
+
+    // A failed email should not fail the registration; the user can ask for a new link
+    try {
+      await sendVerification(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session
+    const { token, refreshToken } = await sessionService.createSession(user, req);
 
     res.status(201).json({
       status: 'success',
@@ -102,11 +224,24 @@ router.post('/register', registerValidation, async (req, res) => {
           emailVerified: user.emailVerified
         },
         profile: profile,
-        token
+        onboarding: invitation ? null : {
+          status: profile.onboardingStatus,
+          missingFields: profile.getMissingOnboardingFields()
+        },
+        token,
+        refreshToken
       }
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      });
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       status: 'error',
@@ -133,9 +268,26 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Reject attempts while the account or IP is delayed or locked
+    const protection = await loginProtectionService.check(email, req.ip);
+    if (!protection.allowed) {
+      return sendLoginBlocked(res, protection);
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await auditService.record(req, {
+        action: 'auth.login-failed',
+        actor: { email },
+        metadata: { reason: 'unknown-email' }
+      });
+
+      const result = await loginProtectionService.recordFailure(email, req);
+      if (result.status === 423) {
+        return sendLoginBlocked(res, result);
+      }
+
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials'
@@ -153,42 +305,37 @@ router.post('/login', loginValidation, async (req, res) => {
     // Compare password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await auditService.record(req, {
+        action: 'auth.login-failed',
+        actor: user,
+        target: { type: 'user', id: user._id },
+        metadata: { reason: 'invalid-password' }
+      });
+
+      const result = await loginProtectionService.recordFailure(email, req, user);
+      if (result.status === 423) {
+        return sendLoginBlocked(res, result);
+      }
+
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Get user profile
-    let profile;
-    if (user.role === 'organization') {
-      profile = await Organization.findOne({ user: user._id });
-    } else {
-      profile = await Employee.findOne({ user: user._id });
+    // Accounts with 2FA get a challenge instead of a session
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        status: 'success',
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id)
+        }
+      });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
-
-    res.json({
-      status: 'success',
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          email: user.email,
-          role: user.role,
-          emailVerified: user.emailVerified,
-          lastLogin: user.lastLogin
-        },
-        profile: profile,
-        token
-      }
-    });
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -200,66 +347,1061 @@ router.post('/login', loginValidation, async (req, res) => {
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user profile
-// @access  Private
-router.get('/me', verifyToken, async (req, res) => {
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString().withMessage('Code must be a string'),
+  body('recoveryCode').optional().isString().withMessage('Recovery code must be a string'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
   try {
-    let profile;
-    if (req.user.role === 'organization') {
-      profile = await Organization.findOne({ user: req.user._id });
-    } else {
-      profile = await Employee.findOne({ user: req.user._id });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    res.json({
-      status: 'success',
-      data: {
-        user: req.user,
-        profile: profile
+    let userId;
+    try {
+      userId = verifyChallengeToken(req.body.challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRETS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const protection = await loginProtectionService.check(user.email, req.ip);
+    if (!protection.allowed) {
+      return sendLoginBlocked(res, protection);
+    }
+
+    if (!checkSecondFactor(user, req.body)) {
+      const result = await loginProtectionService.recordFailure(user.email, req, user);
+      if (result.status === 423) {
+        return sendLoginBlocked(res, result);
       }
-    });
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(user, req, res);
 
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to get profile',
+      message: 'Login failed',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
-// @access  Private
-router.post('/logout', verifyToken, (req, res) => {
+// @route   GET /api/auth/oidc/providers
+// @desc    List configured identity providers
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
   res.json({
     status: 'success',
-    message: 'Logout successful'
+    data: { providers: oidcService.listProviders() }
   });
 });
 
-// @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
-router.post('/refresh', verifyToken, (req, res) => {
+// @route   GET /api/auth/oidc/:provider/authorize
+// @desc    Start an OIDC sign-in; returns the provider URL and a flow token for the callback
+// @access  Public
+router.get('/oidc/:provider/authorize', [
+  query('role').optional().isIn(['organization', 'employee']).withMessage('Role must be either organization or employee')
+], async (req, res) => {
   try {
-    const token = generateToken(req.user._id);
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = oidcService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Identity provider not found'
+      });
+    }
+
+    const { authorizationUrl, flowToken } = await oidcService.createAuthorizationRequest(provider, {
+      role: req.query.role || 'employee'
+    });
+
     res.json({
       status: 'success',
-      message: 'Token refreshed successfully',
+      data: { authorizationUrl, flowToken }
+    });
+
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Failed to start sign-in',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/callback
+// @desc    Finish an OIDC sign-in; links or creates the user and its profile
+// @access  Public
+router.post('/oidc/:provider/callback', [
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required'),
+  body('flowToken').isString().notEmpty().withMessage('Flow token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const provider = oidcService.getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Identity provider not found'
+      });
+    }
+
+    const { flow, claims } = await oidcService.handleCallback(provider, req.body);
+    const email = claims.email?.toLowerCase();
+    const identity = { provider: provider.id, subject: claims.sub, email };
+
+    // Returning user with this identity
+    let user = await User.findOne({
+      identities: { $elemMatch: { provider: provider.id, subject: claims.sub } }
+    });
+
+    // Existing account with the same email: link only when the provider vouches for the address
+    if (!user && email) {
+      user = await User.findOne({ email });
+
+      if (user) {
+        if (claims.email_verified !== true) {
+          return res.status(409).json({
+            status: 'error',
+            message: 'An account with this email already exists. Log in with your password to continue.'
+          });
+        }
+
+        user.identities.push(identity);
+        user.emailVerified = true;
+        await user.save();
+      }
+    }
+
+    // New user: create the account and profile the same way registration does
+    if (!user) {
+      if (!email) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The identity provider did not share an email address'
+        });
+      }
+
+      ({ user } = await accountService.createAccount({
+        email,
+        password: crypto.randomBytes(32).toString('hex'),
+        role: flow.role,
+        emailVerified: claims.email_verified === true,
+        identities: [identity],
+        profileData: {
+          name: claims.name,
+          firstName: claims.given_name,
+          lastName: claims.family_name
+        }
+      }));
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Accounts with 2FA still need their second factor
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        status: 'success',
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id)
+        }
+      });
+    }
+
+    await completeLogin(user, req, res);
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(error.status || 500).json({
+      status: 'error',
+      message: error.status ? error.message : 'Sign-in failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the emailed token
+// @access  Public
+router.post('/verify-email', tokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // The token either verifies the current address or confirms a requested change
+    const hashedToken = User.hashToken(req.body.token);
+    const now = new Date();
+    const user = await User.findOne({
+      $or: [
+        { emailVerificationToken: hashedToken, emailVerificationExpires: { $gt: now } },
+        { emailChangeToken: hashedToken, emailChangeExpires: { $gt: now } }
+      ]
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (user.emailChangeToken === hashedToken) {
+      // Another account may have taken the address since the change was requested
+      if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+        return res.status(409).json({
+          status: 'error',
+          message: 'This email address is already in use'
+        });
+      }
+
+      const previousEmail = user.email;
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+      user.emailChangeToken = undefined;
+      user.emailChangeExpires = undefined;
+      user.emailVerified = true;
+      await user.save();
+
+      await OrganizationMember.updateMany({ user: user._id }, { email: user.email });
+
+      await auditService.record(req, {
+        action: 'auth.email-changed',
+        actor: user,
+        target: { type: 'user', id: user._id },
+        changes: { before: { email: previousEmail }, after: { email: user.email } }
+      });
+    } else {
+      user.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Email verified successfully',
       data: {
-        token
+        user: {
+          id: user._id,
+          email: user.email,
+          emailVerified: user.emailVerified
+        }
       }
     });
 
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Verify email error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Token refresh failed',
+      message: 'Email verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification link
+// @access  Public
+router.post('/resend-verification', emailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive && !user.emailVerified) {
+      await sendVerification(user);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'If the account exists and is not yet verified, a new verification link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to resend verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/unlock
+// @desc    Unlock an account locked after failed logins, using the emailed token
+// @access  Public
+router.post('/unlock', tokenValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loginProtectionService.unlockWithToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Unlock link is invalid or has expired'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      message: 'Account unlocked successfully. You can now log in.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to unlock account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Request a password reset link
+// @access  Public
+router.post('/forgot-password', emailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Respond the same way whether or not the account exists
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await mailService.sendPasswordResetEmail(user.email, token);
+    }
+
+    res.json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to request password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', [
+  ...tokenValidation,
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await sessionService.revokeAllForUser(user._id, { reason: 'password-reset' });
+
+    await auditService.record(req, {
+      action: 'auth.password-reset',
+      actor: user,
+      target: { type: 'user', id: user._id }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Password reset failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password after re-authenticating; other sessions are signed out
+// @access  Private
+router.post('/change-password', verifyToken, rejectImpersonation, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(req.body.currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    const revoked = await sessionService.revokeAllForUser(user._id, {
+      except: req.authSession._id,
+      reason: 'password-changed'
+    });
+
+    await auditService.record(req, {
+      action: 'auth.password-changed',
+      target: { type: 'user', id: user._id },
+      metadata: { revokedSessions: revoked }
+    });
+
+    // Tokens issued before the change are rejected, so hand out a new one for this session
+    res.json({
+      status: 'success',
+      message: 'Password changed successfully. Other sessions have been signed out.',
+      data: {
+        token: generateToken(user._id, req.authSession._id),
+        revokedSessions: revoked
+      }
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to change password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/change-email
+// @desc    Request an email change after re-authenticating; the new address must be confirmed
+// @access  Private
+router.post('/change-email', verifyToken, rejectImpersonation, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newEmail').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { newEmail } = req.body;
+
+    const isPasswordValid = await user.comparePassword(req.body.currentPassword);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'New email must be different from the current email'
+      });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This email address is already in use'
+      });
+    }
+
+    const token = user.createEmailChangeToken(newEmail);
+    await user.save();
+
+    await mailService.sendEmailChangeVerification(newEmail, token);
+
+    try {
+      await mailService.sendEmailChangeNotice(user.email, newEmail);
+    } catch (mailError) {
+      console.error('Email change notice error:', mailError);
+    }
+
+    await auditService.record(req, {
+      action: 'auth.email-change-requested',
+      target: { type: 'user', id: user._id },
+      metadata: { newEmail }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'A confirmation link has been sent to the new address. Your email changes once it is confirmed.',
+      data: {
+        email: user.email,
+        pendingEmail: user.pendingEmail
+      }
+    });
+
+  } catch (error) {
+    console.error('Change email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to change email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment and return the secret and otpauth URI for the QR code
+// @access  Private
+router.post('/2fa/setup', verifyToken, rejectImpersonation, requireRole(['organization', 'employee', 'admin']), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      status: 'success',
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: totpService.buildOtpauthUrl(user.email, secret)
+      }
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to start two-factor setup',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', verifyToken, rejectImpersonation, requireRole(['organization', 'employee', 'admin']), [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totpService.verify(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'auth.2fa-enabled',
+      target: { type: 'user', id: user._id }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (requires password and a current code)
+// @access  Private
+router.post('/2fa/recovery-codes', verifyToken, rejectImpersonation, requireRole(['organization', 'employee', 'admin']), [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Re-authentication guesses count towards the same lockout as login attempts
+    const protection = await loginProtectionService.check(user.email, req.ip);
+    if (!protection.allowed) {
+      return sendLoginBlocked(res, protection);
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !checkSecondFactor(user, { code: req.body.code })) {
+      const result = await loginProtectionService.recordFailure(user.email, req, user);
+      if (result.status === 423) {
+        return sendLoginBlocked(res, result);
+      }
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      status: 'success',
+      message: 'Recovery codes replaced. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to replace recovery codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA after re-authenticating with password and a code
+// @access  Private
+router.post('/2fa/disable', verifyToken, rejectImpersonation, requireRole(['organization', 'employee', 'admin']), [
+  body('password').notEmpty().withMessage('Password is required'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Re-authentication guesses count towards the same lockout as login attempts
+    const protection = await loginProtectionService.check(user.email, req.ip);
+    if (!protection.allowed) {
+      return sendLoginBlocked(res, protection);
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !checkSecondFactor(user, req.body)) {
+      const result = await loginProtectionService.recordFailure(user.email, req, user);
+      if (result.status === 423) {
+        return sendLoginBlocked(res, result);
+      }
+
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    // Organizations that enforce 2FA cannot have their own members opt out
+    if (user.role === 'organization') {
+      await OrganizationMember.resolveForUser(user);
+      const memberships = await OrganizationMember.find({ user: user._id, status: 'active' })
+        .populate('organization', 'settings');
+
+      if (memberships.some(membership => membership.organization?.settings?.requireTwoFactor)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'Your organization requires two-factor authentication'
+        });
+      }
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    await auditService.record(req, {
+      action: 'auth.2fa-disabled',
+      target: { type: 'user', id: user._id }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user profile
+// @access  Private
+router.get('/me', verifyToken, async (req, res) => {
+  try {
+    let profile = null;
+    if (req.user.role === 'organization') {
+      profile = (await OrganizationMember.resolveForUser(req.user))?.organization || null;
+    } else if (req.user.role === 'employee') {
+      profile = await Employee.findOne({ user: req.user._id });
+    }
+
+    res.json({
+      status: 'success',
+      data: {
+        user: req.user,
+        profile: profile
+      }
+    });
+
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await sessionService.revoke(req.authSession, 'logout');
+
+    await auditService.record(req, {
+      action: 'auth.logout',
+      target: { type: 'user', id: req.user._id }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, refreshToken } = await sessionService.rotate(req.body.refreshToken, req);
+    
+    res.json({
+      status: 'success',
+      message: 'Token refreshed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Token refresh failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) of the current user
+// @access  Private
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listActive(req.user._id);
+
+    res.json({
+      status: 'success',
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', verifyToken, rejectImpersonation, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllForUser(req.user._id, { except: req.authSession._id });
+
+    res.json({
+      status: 'success',
+      message: 'Other sessions revoked successfully',
+      data: { revoked }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/sessions/:sessionId', verifyToken, rejectImpersonation, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found'
+      });
+    }
+
+    await sessionService.revoke(session, 'revoked');
+
+    res.json({
+      status: 'success',
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke session',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
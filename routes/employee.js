@@ -1,11 +1,15 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import Employee from '../models/Employee.js';
 import Opportunity from '../models/Opportunity.js';
 import Application from '../models/Application.js';
 import Organization from '../models/Organization.js';
+import User from '../models/User.js';
 import { verifyToken, requireRole } from '../middleware/auth.js';
 import { uploadSingle, uploadMultiple, handleUploadError } from '../middleware/upload.js';
+import accountDeletionService from '../services/accountDeletionService.js';
+import auditService from '../services/auditService.js';
+import followService from '../services/followService.js';
 
 const router = express.Router();
 
@@ -35,7 +39,7 @@ router.get('/dashboard', async (req, res) => {
     
     const pendingApplications = await Application.countDocuments({ 
       employee: employee._id,
-      status: { $in: ['submitted', 'under-review'] },
+      status: { $in: ['submitted', 'reviewing'] },
       isActive: true 
     });
     
@@ -154,6 +158,8 @@ router.put('/profile', [
 
     // Update employee fields
     const allowedUpdates = ['personalInfo', 'location', 'education', 'experience', 'skills', 'preferences', 'socialProfiles'];
+    const before = auditService.snapshot(employee, allowedUpdates);
+
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         if (field === 'education' || field === 'experience' || field === 'skills') {
@@ -174,6 +180,13 @@ router.put('/profile', [
     employee.isProfileComplete = isComplete;
     await employee.save();
 
+    await auditService.record(req, {
+      action: 'employee.profile-updated',
+      target: { type: 'employee', id: employee._id },
+      // Field names only: profile values are personal data and audit events are never erased
+      metadata: { fields: auditService.changedFields(before, auditService.snapshot(employee, allowedUpdates)) }
+    });
+
     res.json({
       status: 'success',
       message: 'Profile updated successfully',
@@ -213,7 +226,7 @@ router.post('/upload-profile-picture', uploadSingle('profilePicture'), handleUpl
 
     // Update profile picture
     employee.personalInfo.profilePicture = {
-      public_id: req.file.public_id,
+      public_id: req.file.filename,
       url: req.file.path
     };
 
@@ -260,13 +273,19 @@ router.post('/upload-documents', uploadMultiple('documents', 5), handleUploadErr
     const newDocuments = req.files.map(file => ({
       name: file.originalname,
       type: req.body.type || 'other',
-      public_id: file.public_id,
+      public_id: file.filename,
       url: file.path
     }));
 
     employee.documents.push(...newDocuments);
     await employee.save();
 
+    await auditService.record(req, {
+      action: 'employee.documents-uploaded',
+      target: { type: 'employee', id: employee._id },
+      metadata: { documents: newDocuments.map(document => ({ type: document.type, public_id: document.public_id })) }
+    });
+
     res.json({
       status: 'success',
       message: 'Documents uploaded successfully',
@@ -296,6 +315,7 @@ router.get('/opportunities', async (req, res) => {
       location, 
       industry,
       compensation,
+      verifiedOnly,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -314,7 +334,13 @@ router.get('/opportunities', async (req, res) => {
     }
     
     if (type) filter.type = type;
-    if (industry) filter.organization = { $in: await Organization.find({ industry }).select('_id') };
+    // Filters on the posting organization
+    const organizationFilter = {};
+    if (industry) organizationFilter.industry = industry;
+    if (verifiedOnly === 'true') organizationFilter['verification.isVerified'] = true;
+    if (Object.keys(organizationFilter).length > 0) {
+      filter.organization = { $in: await Organization.find(organizationFilter).select('_id') };
+    }
     if (location) filter['location.city'] = new RegExp(location, 'i');
     if (compensation) filter['compensation.type'] = compensation;
 
@@ -323,7 +349,7 @@ router.get('/opportunities', async (req, res) => {
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     const opportunities = await Opportunity.find(filter)
-      .populate('organization', 'name logo industry size location')
+      .populate('organization', 'name logo industry size location verification.isVerified')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
@@ -448,6 +474,187 @@ router.get('/saved-opportunities', async (req, res) => {
   }
 });
 
+// @route   GET /api/employees/following
+// @desc    Organizations the employee follows
+// @access  Private (Employee)
+router.get('/following', async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ user: req.user._id });
+
+    if (!employee) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Employee profile not found'
+      });
+    }
+
+    const following = await followService.listFollowing(employee);
+
+    res.json({
+      status: 'success',
+      data: { following }
+    });
+
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch followed organizations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/following/:organizationId
+// @desc    Follow an organization
+// @access  Private (Employee)
+router.post('/following/:organizationId', [
+  param('organizationId').isMongoId().withMessage('Valid organization ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const employee = await Employee.findOne({ user: req.user._id });
+
+    if (!employee) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Employee profile not found'
+      });
+    }
+
+    const organization = await followService.follow(employee, req.params.organizationId);
+
+    res.status(201).json({
+      status: 'success',
+      message: `You are now following ${organization.name}`,
+      data: { organization }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Follow organization error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to follow organization',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/employees/following/:organizationId
+// @desc    Unfollow an organization
+// @access  Private (Employee)
+router.delete('/following/:organizationId', [
+  param('organizationId').isMongoId().withMessage('Valid organization ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const employee = await Employee.findOne({ user: req.user._id });
+
+    if (!employee) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Employee profile not found'
+      });
+    }
+
+    await followService.unfollow(employee, req.params.organizationId);
+
+    res.json({
+      status: 'success',
+      message: 'Organization unfollowed'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Unfollow organization error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to unfollow organization',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/employees/feed
+// @desc    Activity from followed organizations (pass `nextCursor` back as `cursor` for the next page)
+// @access  Private (Employee)
+router.get('/feed', [
+  query('cursor').optional().isString().withMessage('Cursor must be a string'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const employee = await Employee.findOne({ user: req.user._id });
+
+    if (!employee) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Employee profile not found'
+      });
+    }
+
+    const { cursor, limit = 20 } = req.query;
+    const { items, nextCursor } = await followService.getFeed(employee, { cursor, limit });
+
+    res.json({
+      status: 'success',
+      data: { items, nextCursor }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   GET /api/employees/recommendations
 // @desc    Get personalized opportunity recommendations
 // @access  Private (Employee)
@@ -495,5 +702,108 @@ router.get('/recommendations', async (req, res) => {
   }
 });
 
-export default router;
+// @route   GET /api/employees/export
+// @desc    Download all personal data as a JSON archive
+// @access  Private (Employee)
+router.get('/export', async (req, res) => {
+  try {
+    const archive = await accountDeletionService.buildExport(req.user);
+
+    res.attachment(`inkaranya-export-${new Date().toISOString().slice(0, 10)}.json`);
+    res.json({
+      status: 'success',
+      data: archive
+    });
+
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to export data',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/employees/account
+// @desc    Schedule account deletion after the grace period
+// @access  Private (Employee)
+router.delete('/account', [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
 
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid password'
+      });
+    }
+
+    const deletion = await accountDeletionService.scheduleDeletion(user);
+
+    res.json({
+      status: 'success',
+      message: 'Account deletion scheduled. You can cancel it until the scheduled date.',
+      data: { deletion }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Schedule account deletion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to schedule account deletion',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/employees/account/cancel-deletion
+// @desc    Cancel a scheduled account deletion
+// @access  Private (Employee)
+router.post('/account/cancel-deletion', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    await accountDeletionService.cancelDeletion(user);
+
+    res.json({
+      status: 'success',
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to cancel account deletion',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+export default router;
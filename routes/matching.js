@@ -3,39 +3,24 @@ import Opportunity from '../models/Opportunity.js';
 import Employee from '../models/Employee.js';
 import Organization from '../models/Organization.js';
 import Application from '../models/Application.js';
-import { verifyToken, requireRole } from '../middleware/auth.js';
+import { verifyToken, requireTwoFactor } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(verifyToken);
+router.use(requireTwoFactor);
 
 // @route   GET /api/matching/opportunities/:opportunityId/candidates
 // @desc    Get matching candidates for an opportunity (Organization only)
 // @access  Private (Organization)
-router.get('/opportunities/:opportunityId/candidates', requireRole(['organization']), async (req, res) => {
+router.get('/opportunities/:opportunityId/candidates', authorize('applications:read', {
+  load: (req) => Opportunity.findOne({ _id: req.params.opportunityId, isActive: true }),
+  notFound: 'Opportunity not found'
+}), async (req, res) => {
   try {
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Organization profile not found'
-      });
-    }
-
-    const opportunity = await Opportunity.findOne({
-      _id: req.params.opportunityId,
-      organization: organization._id,
-      isActive: true
-    });
-
-    if (!opportunity) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Opportunity not found'
-      });
-    }
+    const opportunity = req.resource;
 
     const { page = 1, limit = 10, minMatchScore = 0 } = req.query;
     const skip = (page - 1) * limit;
@@ -109,7 +94,7 @@ router.get('/opportunities/:opportunityId/candidates', requireRole(['organizatio
 // @route   GET /api/matching/employees/:employeeId/opportunities
 // @desc    Get matching opportunities for an employee (Employee only)
 // @access  Private (Employee)
-router.get('/employees/:employeeId/opportunities', requireRole(['employee']), async (req, res) => {
+router.get('/employees/:employeeId/opportunities', authorize('recommendations:read'), async (req, res) => {
   try {
     const employee = await Employee.findOne({ user: req.user._id });
     
@@ -145,7 +130,7 @@ router.get('/employees/:employeeId/opportunities', requireRole(['employee']), as
 
     // Get potential opportunities
     const opportunities = await Opportunity.find(matchCriteria)
-      .populate('organization', 'name logo industry size location rating')
+      .populate('organization', 'name logo industry size location rating verification.isVerified')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -194,19 +179,12 @@ router.get('/employees/:employeeId/opportunities', requireRole(['employee']), as
 // @route   GET /api/matching/analytics
 // @desc    Get matching analytics (Both roles)
 // @access  Private
-router.get('/analytics', async (req, res) => {
+router.get('/analytics', authorize('analytics:read'), async (req, res) => {
   try {
     let analytics = {};
 
     if (req.user.role === 'organization') {
-      const organization = await Organization.findOne({ user: req.user._id });
-      
-      if (!organization) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Organization profile not found'
-        });
-      }
+      const organization = req.organization;
 
       // Organization analytics
       const totalOpportunities = await Opportunity.countDocuments({
@@ -3,8 +3,14 @@ import { body, validationResult } from 'express-validator';
 import Opportunity from '../models/Opportunity.js';
 import Organization from '../models/Organization.js';
 import Application from '../models/Application.js';
-import { verifyToken, requireRole, optionalAuth } from '../middleware/auth.js';
+import OpportunityTemplate from '../models/OpportunityTemplate.js';
+import { verifyTokenOrApiKey, requireTwoFactor, optionalAuth } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
 import { uploadMultiple, handleUploadError } from '../middleware/upload.js';
+import auditService from '../services/auditService.js';
+import mediaService, { IMAGE_LIMITS } from '../services/mediaService.js';
+import applicationStatusService, { DEFAULT_TRANSITIONS } from '../services/applicationStatusService.js';
+import opportunityTemplateService from '../services/opportunityTemplateService.js';
 
 const router = express.Router();
 
@@ -21,6 +27,7 @@ router.get('/', optionalAuth, async (req, res) => {
       location, 
       industry,
       compensation,
+      verifiedOnly,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -49,8 +56,13 @@ router.get('/', optionalAuth, async (req, res) => {
     }
     
     if (type) filter.type = type;
-    if (industry) {
-      const orgs = await Organization.find({ industry }).select('_id');
+
+    // Filters on the posting organization
+    const organizationFilter = {};
+    if (industry) organizationFilter.industry = industry;
+    if (verifiedOnly === 'true') organizationFilter['verification.isVerified'] = true;
+    if (Object.keys(organizationFilter).length > 0) {
+      const orgs = await Organization.find(organizationFilter).select('_id');
       filter.organization = { $in: orgs.map(org => org._id) };
     }
     if (location) filter['location.city'] = new RegExp(location, 'i');
@@ -61,7 +73,7 @@ router.get('/', optionalAuth, async (req, res) => {
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
     const opportunities = await Opportunity.find(filter)
-      .populate('organization', 'name logo industry size location')
+      .populate('organization', 'name logo industry size location verification.isVerified')
       .sort(sort)
       .skip(skip)
       .limit(parseInt(limit));
@@ -90,13 +102,36 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/opportunities/templates
+// @desc    List the organization's opportunity templates
+// @access  Private (Organization)
+// Registered before GET /:id so that "templates" is not taken for an opportunity id
+router.get('/templates', verifyTokenOrApiKey, requireTwoFactor, authorize('opportunities:read'), async (req, res) => {
+  try {
+    const templates = await opportunityTemplateService.list(req.organization._id);
+
+    res.json({
+      status: 'success',
+      data: { templates }
+    });
+
+  } catch (error) {
+    console.error('Get opportunity templates error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 // @route   GET /api/opportunities/:id
 // @desc    Get single opportunity by ID
 // @access  Public
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const opportunity = await Opportunity.findById(req.params.id)
-      .populate('organization', 'name logo industry size location contact rating');
+      .populate('organization', 'name logo industry size location contact rating verification.isVerified');
 
     if (!opportunity || !opportunity.isActive) {
       return res.status(404).json({
@@ -124,20 +159,89 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-// Apply authentication to all routes below
-router.use(verifyToken);
+// Apply authentication to all routes below (API keys are accepted for integrations)
+router.use(verifyTokenOrApiKey);
+router.use(requireTwoFactor);
 
-// @route   POST /api/opportunities
-// @desc    Create new opportunity (Organization only)
-// @access  Private (Organization)
-router.post('/', requireRole(['organization']), [
+// Authorize an action on the opportunity in the URL
+const authorizeOpportunity = (action) => authorize(action, {
+  load: (req) => Opportunity.findOne({ _id: req.params.id, isActive: true }),
+  notFound: 'Opportunity not found'
+});
+
+// Image management
+const imageOrderValidation = [
+  body('order').isArray({ min: 1 }).withMessage('Order must be a list of image IDs'),
+  body('order.*').isMongoId().withMessage('Order must only contain image IDs')
+];
+
+// Scheduled publishing and automatic filling (see services/opportunityLifecycleService.js)
+const lifecycleValidation = [
+  body('publishAt').optional({ values: 'null' }).isISO8601().withMessage('Publish time must be a valid date'),
+  body('openings').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Openings must be a positive number')
+];
+
+// A draft scheduled to publish needs a start date, like publishing it by hand.
+// `schedule` reads the effective publish time and start date from the request.
+const scheduledStartDateValidation = (schedule) => body('publishAt')
+  .custom((value, { req }) => {
+    const { publishAt, startDate } = schedule(req);
+    return !publishAt || Boolean(startDate);
+  })
+  .withMessage('Set a start date before scheduling the opportunity to publish');
+
+const captionValidation = [
+  body('caption').isString().trim().isLength({ max: 200 }).withMessage('Caption cannot exceed 200 characters')
+];
+
+// Fields an organization may set directly (status transitions have their own validation)
+const EDITABLE_FIELDS = [
+  'title', 'description', 'type', 'category', 'requirements',
+  'location', 'compensation', 'schedule', 'application',
+  'status', 'visibility', 'tags', 'publishAt', 'openings'
+];
+
+// Checked for every new opportunity, whether written from scratch, duplicated or made from a template
+const opportunityValidation = [
   body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required and must be less than 200 characters'),
   body('description').trim().isLength({ min: 1, max: 2000 }).withMessage('Description is required and must be less than 2000 characters'),
   body('type').isIn(['job', 'internship', 'volunteer', 'project', 'mentorship']).withMessage('Invalid opportunity type'),
   body('category').trim().isLength({ min: 1 }).withMessage('Category is required'),
   body('location.type').isIn(['remote', 'on-site', 'hybrid']).withMessage('Invalid location type'),
-  body('schedule.startDate').isISO8601().withMessage('Valid start date is required')
-], async (req, res) => {
+  // Drafts may leave the start date open (e.g. copies); it is required before publishing
+  body('schedule.startDate')
+    .if((value, { req }) => value !== undefined || req.body.status !== 'draft')
+    .isISO8601().withMessage('Valid start date is required'),
+  ...lifecycleValidation,
+  scheduledStartDateValidation(req => ({
+    publishAt: req.body.publishAt,
+    startDate: req.body.schedule?.startDate
+  }))
+];
+
+// Authorize an action on the template in the URL
+const authorizeTemplate = (action) => authorize(action, {
+  load: (req) => OpportunityTemplate.findById(req.params.templateId),
+  notFound: 'Template not found'
+});
+
+// Start from a copy of the opportunity in the URL: a draft without its dates
+const fromOpportunity = (req, res, next) => {
+  const content = opportunityTemplateService.copyContent(req.resource);
+  req.body = { ...opportunityTemplateService.merge(content, req.body), status: 'draft' };
+  req.opportunitySource = { type: 'opportunity', id: req.resource._id };
+  next();
+};
+
+// Start from the template in the URL (a draft unless the body sets a status)
+const fromTemplate = (req, res, next) => {
+  req.body = { status: 'draft', ...opportunityTemplateService.merge(req.resource.content, req.body) };
+  req.opportunitySource = { type: 'template', id: req.resource._id };
+  next();
+};
+
+// Create an opportunity from the validated body
+const createOpportunity = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -148,23 +252,49 @@ router.post('/', requireRole(['organization']), [
       });
     }
 
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
+    const organization = req.organization;
+
+    // Listings show the organization profile, so it has to be complete first
+    if (organization.onboardingStatus === 'pending') {
+      return res.status(403).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: 'Complete your organization profile before posting opportunities',
+        missingFields: organization.getMissingOnboardingFields()
       });
     }
 
-    const opportunityData = {
-      ...req.body,
-      organization: organization._id
-    };
+    const opportunityData = EDITABLE_FIELDS.reduce((data, field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+      return data;
+    }, { organization: organization._id });
+
+    if (req.body.statusTransitions !== undefined) {
+      opportunityData.statusTransitions = applicationStatusService.parseTransitions(req.body.statusTransitions);
+    }
 
     const opportunity = new Opportunity(opportunityData);
     await opportunity.save();
 
+    const source = req.opportunitySource;
+    if (source?.type === 'template') {
+      await opportunityTemplateService.recordUse(source.id);
+    }
+
+    await auditService.record(req, {
+      action: 'opportunity.created',
+      target: { type: 'opportunity', id: opportunity._id },
+      organization: organization._id,
+      changes: {
+        after: {
+          title: opportunity.title,
+          type: opportunity.type,
+          status: opportunity.status,
+          ...(opportunityData.statusTransitions && { statusTransitions: opportunityData.statusTransitions })
+        }
+      },
+      metadata: source ? { source } : undefined
+    });
+
     // Populate organization data
     await opportunity.populate('organization', 'name logo industry size location');
 
@@ -175,6 +305,13 @@ router.post('/', requireRole(['organization']), [
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Create opportunity error:', error);
     res.status(500).json({
       status: 'error',
@@ -182,16 +319,23 @@ router.post('/', requireRole(['organization']), [
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
-});
+};
 
-// @route   PUT /api/opportunities/:id
-// @desc    Update opportunity (Organization only)
+// @route   POST /api/opportunities
+// @desc    Create new opportunity (Organization only)
 // @access  Private (Organization)
-router.put('/:id', requireRole(['organization']), [
-  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be less than 200 characters'),
-  body('description').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be less than 2000 characters'),
-  body('type').optional().isIn(['job', 'internship', 'volunteer', 'project', 'mentorship']).withMessage('Invalid opportunity type'),
-  body('status').optional().isIn(['draft', 'active', 'paused', 'closed', 'filled']).withMessage('Invalid status')
+router.post('/', authorize('opportunities:write'), opportunityValidation, createOpportunity);
+
+// @route   POST /api/opportunities/:id/duplicate
+// @desc    Create a draft copy of an opportunity with its dates cleared (body fields override the copy)
+// @access  Private (Organization)
+router.post('/:id/duplicate', authorizeOpportunity('opportunities:write'), fromOpportunity, opportunityValidation, createOpportunity);
+
+// @route   POST /api/opportunities/:id/template
+// @desc    Save an opportunity to the organization's template library
+// @access  Private (Organization)
+router.post('/:id/template', authorizeOpportunity('opportunities:write'), [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Template name is required and must be less than 100 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -203,34 +347,115 @@ router.put('/:id', requireRole(['organization']), [
       });
     }
 
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
+    const opportunity = req.resource;
+    const template = await opportunityTemplateService.create(opportunity, { name: req.body.name, user: req.user });
+
+    await auditService.record(req, {
+      action: 'opportunity.template-created',
+      target: { type: 'opportunity-template', id: template._id },
+      organization: opportunity.organization,
+      changes: { after: { name: template.name } },
+      metadata: { sourceOpportunity: opportunity._id }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Template saved successfully',
+      data: { template }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: error.message
       });
     }
 
-    const opportunity = await Opportunity.findOne({
-      _id: req.params.id,
-      organization: organization._id,
-      isActive: true
+    console.error('Create opportunity template error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save template',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/opportunities/templates/:templateId
+// @desc    Get a template
+// @access  Private (Organization)
+router.get('/templates/:templateId', authorizeTemplate('opportunities:read'), async (req, res) => {
+  res.json({
+    status: 'success',
+    data: { template: req.resource }
+  });
+});
+
+// @route   POST /api/opportunities/templates/:templateId/opportunities
+// @desc    Create an opportunity from a template (body fields override the template)
+// @access  Private (Organization)
+router.post('/templates/:templateId/opportunities', authorizeTemplate('opportunities:write'), fromTemplate, opportunityValidation, createOpportunity);
+
+// @route   DELETE /api/opportunities/templates/:templateId
+// @desc    Delete a template
+// @access  Private (Organization)
+router.delete('/templates/:templateId', authorizeTemplate('opportunities:write'), async (req, res) => {
+  try {
+    const template = req.resource;
+    await template.deleteOne();
+
+    await auditService.record(req, {
+      action: 'opportunity.template-deleted',
+      target: { type: 'opportunity-template', id: template._id },
+      organization: template.organization,
+      changes: { before: { name: template.name } }
     });
 
-    if (!opportunity) {
-      return res.status(404).json({
+    res.json({
+      status: 'success',
+      message: 'Template deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete opportunity template error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete template',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/opportunities/:id
+// @desc    Update opportunity (Organization only)
+// @access  Private (Organization)
+router.put('/:id', authorizeOpportunity('opportunities:write'), [
+  body('title').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Title must be less than 200 characters'),
+  body('description').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Description must be less than 2000 characters'),
+  body('type').optional().isIn(['job', 'internship', 'volunteer', 'project', 'mentorship']).withMessage('Invalid opportunity type'),
+  body('status').optional().isIn(['draft', 'active', 'paused', 'closed', 'filled']).withMessage('Invalid status'),
+  ...lifecycleValidation,
+  // Fields left out of the body keep their current value
+  scheduledStartDateValidation(req => ({
+    publishAt: req.body.publishAt !== undefined ? req.body.publishAt : req.resource.publishAt,
+    startDate: req.body.schedule !== undefined ? req.body.schedule?.startDate : req.resource.schedule?.startDate
+  }))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Opportunity not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
+    const opportunity = req.resource;
+
     // Update opportunity fields
-    const allowedUpdates = [
-      'title', 'description', 'type', 'category', 'requirements', 
-      'location', 'compensation', 'schedule', 'application', 
-      'status', 'visibility', 'tags'
-    ];
+    const allowedUpdates = EDITABLE_FIELDS;
+    const before = auditService.snapshot(opportunity, allowedUpdates);
     
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
@@ -238,7 +463,21 @@ router.put('/:id', requireRole(['organization']), [
       }
     });
 
+    if (opportunity.status !== 'draft' && !opportunity.schedule?.startDate) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Set a start date before publishing the opportunity'
+      });
+    }
+
     await opportunity.save();
+
+    await auditService.record(req, {
+      action: 'opportunity.updated',
+      target: { type: 'opportunity', id: opportunity._id },
+      organization: opportunity.organization,
+      changes: auditService.diff(before, auditService.snapshot(opportunity, allowedUpdates))
+    });
     await opportunity.populate('organization', 'name logo industry size location');
 
     res.json({
@@ -260,35 +499,26 @@ router.put('/:id', requireRole(['organization']), [
 // @route   DELETE /api/opportunities/:id
 // @desc    Delete opportunity (Organization only)
 // @access  Private (Organization)
-router.delete('/:id', requireRole(['organization']), async (req, res) => {
+router.delete('/:id', authorizeOpportunity('opportunities:write'), async (req, res) => {
   try {
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Organization profile not found'
-      });
-    }
-
-    const opportunity = await Opportunity.findOne({
-      _id: req.params.id,
-      organization: organization._id,
-      isActive: true
-    });
-
-    if (!opportunity) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Opportunity not found'
-      });
-    }
+    const opportunity = req.resource;
 
     // Soft delete
+    const previousStatus = opportunity.status;
     opportunity.isActive = false;
     opportunity.status = 'closed';
     await opportunity.save();
 
+    await auditService.record(req, {
+      action: 'opportunity.deleted',
+      target: { type: 'opportunity', id: opportunity._id },
+      organization: opportunity.organization,
+      changes: {
+        before: { status: previousStatus, isActive: true },
+        after: { status: opportunity.status, isActive: false }
+      }
+    });
+
     res.json({
       status: 'success',
       message: 'Opportunity deleted successfully'
@@ -305,9 +535,9 @@ router.delete('/:id', requireRole(['organization']), async (req, res) => {
 });
 
 // @route   POST /api/opportunities/:id/upload-images
-// @desc    Upload images for opportunity
+// @desc    Upload images for opportunity (optional `captions`, one per file)
 // @access  Private (Organization)
-router.post('/:id/upload-images', requireRole(['organization']), uploadMultiple('images', 5), handleUploadError, async (req, res) => {
+router.post('/:id/upload-images', authorizeOpportunity('opportunities:write'), uploadMultiple('images', IMAGE_LIMITS.opportunity), handleUploadError, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -316,87 +546,255 @@ router.post('/:id/upload-images', requireRole(['organization']), uploadMultiple(
       });
     }
 
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
+    const opportunity = req.resource;
+
+    const images = await mediaService.addImages(opportunity, req.files, {
+      limit: IMAGE_LIMITS.opportunity,
+      captions: req.body.captions
+    });
+
+    await auditService.record(req, {
+      action: 'opportunity.images-uploaded',
+      target: { type: 'opportunity', id: opportunity._id },
+      organization: opportunity.organization,
+      metadata: { files: req.files.map(file => file.filename) }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Images uploaded successfully',
+      data: { images }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: error.message
       });
     }
 
-    const opportunity = await Opportunity.findOne({
-      _id: req.params.id,
-      organization: organization._id,
-      isActive: true
+    console.error('Upload images error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to upload images',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
+  }
+});
 
-    if (!opportunity) {
-      return res.status(404).json({
+// @route   PUT /api/opportunities/:id/images/order
+// @desc    Reorder opportunity images
+// @access  Private (Organization)
+router.put('/:id/images/order', authorizeOpportunity('opportunities:write'), imageOrderValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Opportunity not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Add new images
-    const newImages = req.files.map(file => ({
-      public_id: file.public_id,
-      url: file.path,
-      caption: ''
-    }));
+    const images = await mediaService.reorderImages(req.resource, req.body.order);
 
-    opportunity.images.push(...newImages);
-    await opportunity.save();
+    res.json({
+      status: 'success',
+      message: 'Images reordered successfully',
+      data: { images }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Reorder images error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reorder images',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/opportunities/:id/images/:imageId
+// @desc    Edit an image caption
+// @access  Private (Organization)
+router.put('/:id/images/:imageId', authorizeOpportunity('opportunities:write'), captionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const image = await mediaService.updateCaption(req.resource, req.params.imageId, req.body.caption);
 
     res.json({
       status: 'success',
-      message: 'Images uploaded successfully',
+      message: 'Caption updated successfully',
+      data: { image }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update caption error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update caption',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/opportunities/:id/images/:imageId
+// @desc    Delete an opportunity image and its stored file
+// @access  Private (Organization)
+router.delete('/:id/images/:imageId', authorizeOpportunity('opportunities:write'), async (req, res) => {
+  try {
+    const opportunity = req.resource;
+    const image = await mediaService.removeImage(opportunity, req.params.imageId);
+
+    await auditService.record(req, {
+      action: 'opportunity.image-deleted',
+      target: { type: 'opportunity', id: opportunity._id },
+      organization: opportunity.organization,
+      metadata: { image: image.public_id || image.url }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Image deleted successfully',
       data: { images: opportunity.images }
     });
 
   } catch (error) {
-    console.error('Upload images error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Delete image error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to upload images',
+      message: 'Failed to delete image',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// @route   GET /api/opportunities/:id/applications
-// @desc    Get applications for specific opportunity (Organization only)
+// @route   GET /api/opportunities/:id/status-transitions
+// @desc    Get the application status transitions of an opportunity
 // @access  Private (Organization)
-router.get('/:id/applications', requireRole(['organization']), async (req, res) => {
+router.get('/:id/status-transitions', authorizeOpportunity('applications:read'), async (req, res) => {
   try {
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
+    const opportunity = req.resource;
+
+    res.json({
+      status: 'success',
+      data: {
+        transitions: applicationStatusService.getTransitionTable(opportunity),
+        defaults: DEFAULT_TRANSITIONS,
+        overrides: opportunity.statusTransitions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get status transitions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch status transitions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/opportunities/:id/status-transitions
+// @desc    Override application status transitions (an empty object restores the defaults)
+// @access  Private (Organization)
+router.put('/:id/status-transitions', authorizeOpportunity('opportunities:write'), [
+  body('transitions').isObject().withMessage('Transitions must be an object of status lists')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const opportunity = await Opportunity.findOne({
-      _id: req.params.id,
-      organization: organization._id,
-      isActive: true
+    const opportunity = req.resource;
+    const before = applicationStatusService.getTransitionTable(opportunity);
+
+    opportunity.statusTransitions = applicationStatusService.parseTransitions(req.body.transitions);
+    await opportunity.save();
+
+    const transitions = applicationStatusService.getTransitionTable(opportunity);
+
+    await auditService.record(req, {
+      action: 'opportunity.status-transitions-updated',
+      target: { type: 'opportunity', id: opportunity._id },
+      organization: opportunity.organization,
+      changes: auditService.diff(before, transitions)
     });
 
-    if (!opportunity) {
-      return res.status(404).json({
+    res.json({
+      status: 'success',
+      message: 'Status transitions updated successfully',
+      data: {
+        transitions,
+        overrides: opportunity.statusTransitions
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         status: 'error',
-        message: 'Opportunity not found'
+        message: error.message
       });
     }
 
+    console.error('Update status transitions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update status transitions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/opportunities/:id/applications
+// @desc    Get applications for specific opportunity (Organization only)
+// @access  Private (Organization)
+router.get('/:id/applications', authorizeOpportunity('applications:read'), async (req, res) => {
+  try {
+    const opportunity = req.resource;
+
     const { page = 1, limit = 10, status } = req.query;
     const skip = (page - 1) * limit;
 
     const filter = { 
       opportunity: opportunity._id,
-      organization: organization._id,
+      organization: opportunity.organization,
       isActive: true 
     };
     if (status) filter.status = status;
@@ -413,6 +811,7 @@ router.get('/:id/applications', requireRole(['organization']), async (req, res)
       status: 'success',
       data: {
         applications,
+        transitions: applicationStatusService.getTransitionTable(opportunity),
         pagination: {
           current: parseInt(page),
           pages: Math.ceil(total / limit),
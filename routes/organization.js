@@ -1,31 +1,256 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import Organization from '../models/Organization.js';
+import { body, query, validationResult } from 'express-validator';
+import Organization, { PUBLIC_ORGANIZATION_FIELDS } from '../models/Organization.js';
 import Opportunity from '../models/Opportunity.js';
-import Application from '../models/Application.js';
-import { verifyToken, requireRole } from '../middleware/auth.js';
+import Application, { APPLICATION_STATUSES } from '../models/Application.js';
+import OrganizationMember, { MEMBER_ROLES } from '../models/OrganizationMember.js';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import { verifyTokenOrApiKey, rejectApiKey, requireRole, requireTwoFactor } from '../middleware/auth.js';
+import { loadMembership } from '../middleware/organization.js';
+import { authorize } from '../middleware/authorize.js';
+import membershipService from '../services/membershipService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import policyService from '../services/policyService.js';
+import auditService from '../services/auditService.js';
+import verificationService from '../services/verificationService.js';
+import mediaService, { IMAGE_LIMITS } from '../services/mediaService.js';
+import analyticsService from '../services/analyticsService.js';
+import applicationStatusService from '../services/applicationStatusService.js';
 import { uploadSingle, uploadMultiple, handleUploadError } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// Apply authentication and role check to all routes
-router.use(verifyToken);
-router.use(requireRole(['organization']));
+// Filters accepted by the audit log query
+const auditQueryValidation = [
+  query('action').optional().isString().withMessage('Action must be a string'),
+  query('actor').optional().isMongoId().withMessage('Actor must be a valid user ID'),
+  query('targetType').optional().isString().withMessage('Target type must be a string'),
+  query('targetId').optional().isMongoId().withMessage('Target must be a valid ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+];
 
-// @route   GET /api/organizations/dashboard
-// @desc    Get organization dashboard data
-// @access  Private (Organization)
-router.get('/dashboard', async (req, res) => {
+// Statuses an organization can set (candidates withdraw through their own route)
+const ORGANIZATION_STATUSES = APPLICATION_STATUSES.filter(status => status !== 'withdrawn');
+
+// Image management
+const imageOrderValidation = [
+  body('order').isArray({ min: 1 }).withMessage('Order must be a list of image IDs'),
+  body('order.*').isMongoId().withMessage('Order must only contain image IDs')
+];
+
+const captionValidation = [
+  body('caption').isString().trim().isLength({ max: 200 }).withMessage('Caption cannot exceed 200 characters')
+];
+
+// Only onboarded, active organizations are listed publicly (organizations from before onboarding have no status)
+const PUBLIC_ORGANIZATION_FILTER = { isActive: true, onboardingStatus: { $ne: 'pending' } };
+
+// @route   GET /api/organizations/public
+// @desc    Search the public organization directory
+// @access  Public
+router.get('/public', [
+  query('search').optional().trim().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+  query('size').optional().isIn(['1-10', '11-50', '51-200', '201-500', '500+']).withMessage('Invalid organization size'),
+  query('workEnvironment').optional()
+    .isIn(['startup', 'corporate', 'non-profit', 'government', 'academic', 'other'])
+    .withMessage('Invalid work environment'),
+  query('verified').optional().isBoolean().withMessage('verified must be a boolean')
+], async (req, res) => {
   try {
-    const organization = await Organization.findOne({ user: req.user._id });
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 12, search, industry, size, workEnvironment, verified } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build search filter
+    const filter = { ...PUBLIC_ORGANIZATION_FILTER };
+    if (search) filter.$text = { $search: search };
+    if (industry) filter.industry = industry;
+    if (size) filter.size = size;
+    if (workEnvironment) filter['culture.workEnvironment'] = workEnvironment;
+    if (verified !== undefined) filter['verification.isVerified'] = verified === 'true';
+
+    // Best matches first when searching, otherwise the best rated
+    const sort = search
+      ? { score: { $meta: 'textScore' } }
+      : { 'rating.average': -1, name: 1 };
+
+    const [organizations, total] = await Promise.all([
+      Organization.find(filter, search ? { score: { $meta: 'textScore' } } : {})
+        .select(PUBLIC_ORGANIZATION_FIELDS)
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Organization.countDocuments(filter)
+    ]);
+
+    res.json({
+      status: 'success',
+      data: {
+        organizations,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Search organizations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to search organizations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/organizations/public/:idOrSlug
+// @desc    Public organization profile with its open opportunities
+// @access  Public
+router.get('/public/:idOrSlug', async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const lookup = /^[0-9a-fA-F]{24}$/.test(idOrSlug)
+      ? { $or: [{ _id: idOrSlug }, { slug: idOrSlug.toLowerCase() }] }
+      : { slug: idOrSlug.toLowerCase() };
+
+    const organization = await Organization.findOne({ ...PUBLIC_ORGANIZATION_FILTER, ...lookup })
+      .select(PUBLIC_ORGANIZATION_FIELDS);
+
     if (!organization) {
       return res.status(404).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: 'Organization not found'
+      });
+    }
+
+    const opportunities = await Opportunity.find({
+      organization: organization._id,
+      status: 'active',
+      isActive: true,
+      visibility: 'public',
+      'application.deadline': { $gt: new Date() }
+    })
+      .select('title type category location compensation schedule application.deadline createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: { organization, opportunities }
+    });
+
+  } catch (error) {
+    console.error('Get public organization error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch organization',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Apply authentication and role check to all routes (API keys are accepted for integrations)
+router.use(verifyTokenOrApiKey);
+router.use(requireRole(['organization']));
+router.use(requireTwoFactor);
+
+// @route   GET /api/organizations/memberships
+// @desc    List the organizations the current user belongs to
+// @access  Private (Organization)
+router.get('/memberships', rejectApiKey, async (req, res) => {
+  try {
+    // Make sure legacy single-login organizations have their owner membership
+    await OrganizationMember.resolveForUser(req.user);
+
+    const memberships = await OrganizationMember.find({ user: req.user._id, status: 'active' })
+      .populate('organization', 'name logo industry')
+      .sort({ joinedAt: 1 });
+
+    res.json({
+      status: 'success',
+      data: { memberships }
+    });
+
+  } catch (error) {
+    console.error('Get memberships error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch memberships',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Accept an invitation to join an organization team
+// @access  Private (Organization)
+router.post('/invitations/accept', rejectApiKey, [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await membershipService.findInvitation(req.body.token);
+
+    if (!invitation) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const membership = await membershipService.acceptInvitation(invitation, req.user);
+
+    res.json({
+      status: 'success',
+      message: `You have joined ${membership.organization.name}`,
+      data: { membership }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
       });
     }
 
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to accept invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// All routes below act on the organization of the current membership
+router.use(loadMembership);
+
+// @route   GET /api/organizations/dashboard
+// @desc    Get organization dashboard data
+// @access  Private (Organization)
+router.get('/dashboard', authorize('organization:read'), async (req, res) => {
+  try {
+    const organization = req.organization;
+
     // Get dashboard statistics
     const totalOpportunities = await Opportunity.countDocuments({ 
       organization: organization._id,
@@ -93,20 +318,57 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
-// @route   GET /api/organizations/profile
-// @desc    Get organization profile
+// @route   GET /api/organizations/analytics
+// @desc    Hiring funnel analytics (filter by date range, opportunity type or opportunity; group by week or month)
 // @access  Private (Organization)
-router.get('/profile', async (req, res) => {
+router.get('/analytics', authorize('applications:read'), [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('type').optional().isIn(['job', 'internship', 'volunteer', 'project', 'mentorship']).withMessage('Invalid opportunity type'),
+  query('opportunity').optional().isMongoId().withMessage('Opportunity must be a valid ID'),
+  query('groupBy').optional().isIn(['week', 'month']).withMessage('groupBy must be week or month')
+], async (req, res) => {
   try {
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
+    const { from, to, type, opportunity, groupBy } = req.query;
+    const analytics = await analyticsService.getHiringFunnel(req.organization._id, {
+      from,
+      to,
+      type,
+      opportunity,
+      groupBy
+    });
+
+    res.json({
+      status: 'success',
+      data: { analytics }
+    });
+
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch analytics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/organizations/profile
+// @desc    Get organization profile
+// @access  Private (Organization)
+router.get('/profile', authorize('organization:read'), async (req, res) => {
+  try {
+    const organization = req.organization;
+
     res.json({
       status: 'success',
       data: { organization }
@@ -125,12 +387,14 @@ router.get('/profile', async (req, res) => {
 // @route   PUT /api/organizations/profile
 // @desc    Update organization profile
 // @access  Private (Organization)
-router.put('/profile', [
+router.put('/profile', authorize('organization:write'), [
   body('name').optional().trim().isLength({ min: 1 }).withMessage('Name is required'),
   body('description').optional().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
   body('website').optional().isURL().withMessage('Invalid website URL'),
   body('industry').optional().trim().isLength({ min: 1 }).withMessage('Industry is required'),
-  body('size').optional().isIn(['1-10', '11-50', '51-200', '201-500', '500+']).withMessage('Invalid organization size')
+  body('size').optional().isIn(['1-10', '11-50', '51-200', '201-500', '500+']).withMessage('Invalid organization size'),
+  body('settings.requireVerifiedCandidates').optional().isBoolean().withMessage('requireVerifiedCandidates must be a boolean'),
+  body('settings.requireTwoFactor').optional().isBoolean().withMessage('requireTwoFactor must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -142,24 +406,49 @@ router.put('/profile', [
       });
     }
 
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Organization profile not found'
-      });
-    }
+    const organization = req.organization;
 
     // Update organization fields
     const allowedUpdates = ['name', 'description', 'website', 'industry', 'size', 'location', 'contact'];
+    const auditedFields = [...allowedUpdates, 'settings'];
+    const before = auditService.snapshot(organization, auditedFields);
+
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         organization[field] = req.body[field];
       }
     });
 
-    await organization.save();
+    if (req.body.settings?.requireVerifiedCandidates !== undefined) {
+      organization.settings.requireVerifiedCandidates = req.body.settings.requireVerifiedCandidates;
+    }
+
+    if (req.body.settings?.requireTwoFactor !== undefined) {
+      // Enforcing 2FA without having it would lock the account out of its own organization
+      if (req.body.settings.requireTwoFactor && !req.user.twoFactor?.enabled) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Enable two-factor authentication on your own account before requiring it for your organization'
+        });
+      }
+      organization.settings.requireTwoFactor = req.body.settings.requireTwoFactor;
+    }
+
+    const changes = auditService.diff(before, auditService.snapshot(organization, auditedFields));
+
+    // Followers see public profile changes in their feed (settings are private)
+    if (Object.keys(changes.after).some(field => field !== 'settings')) {
+      organization.profileUpdatedAt = new Date();
+    }
+
+    await organization.saveWithSlug();
+
+    await auditService.record(req, {
+      action: 'organization.profile-updated',
+      target: { type: 'organization', id: organization._id },
+      organization: organization._id,
+      changes
+    });
 
     res.json({
       status: 'success',
@@ -178,9 +467,9 @@ router.put('/profile', [
 });
 
 // @route   POST /api/organizations/upload-logo
-// @desc    Upload organization logo
+// @desc    Upload or replace the organization logo (the previous file is deleted)
 // @access  Private (Organization)
-router.post('/upload-logo', uploadSingle('logo'), handleUploadError, async (req, res) => {
+router.post('/upload-logo', authorize('organization:write'), uploadSingle('logo'), handleUploadError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -189,27 +478,19 @@ router.post('/upload-logo', uploadSingle('logo'), handleUploadError, async (req,
       });
     }
 
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Organization profile not found'
-      });
-    }
-
-    // Update logo
-    organization.logo = {
-      public_id: req.file.public_id,
-      url: req.file.path
-    };
+    const logo = await mediaService.replaceLogo(req.organization, req.file);
 
-    await organization.save();
+    await auditService.record(req, {
+      action: 'organization.logo-uploaded',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id,
+      metadata: { logo: logo.public_id }
+    });
 
     res.json({
       status: 'success',
       message: 'Logo uploaded successfully',
-      data: { logo: organization.logo }
+      data: { logo }
     });
 
   } catch (error) {
@@ -222,44 +503,79 @@ router.post('/upload-logo', uploadSingle('logo'), handleUploadError, async (req,
   }
 });
 
-// @route   POST /api/organizations/upload-images
-// @desc    Upload organization images
+// @route   DELETE /api/organizations/logo
+// @desc    Remove the organization logo
 // @access  Private (Organization)
-router.post('/upload-images', uploadMultiple('images', 10), handleUploadError, async (req, res) => {
+router.delete('/logo', authorize('organization:write'), async (req, res) => {
   try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({
+    await mediaService.removeLogo(req.organization);
+
+    await auditService.record(req, {
+      action: 'organization.logo-removed',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Logo removed successfully'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         status: 'error',
-        message: 'No files uploaded'
+        message: error.message
       });
     }
 
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
+    console.error('Remove logo error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove logo',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/organizations/upload-images
+// @desc    Upload organization images (optional `captions`, one per file)
+// @access  Private (Organization)
+router.post('/upload-images', authorize('organization:write'), uploadMultiple('images', IMAGE_LIMITS.organization), handleUploadError, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: 'No files uploaded'
       });
     }
 
-    // Add new images
-    const newImages = req.files.map(file => ({
-      public_id: file.public_id,
-      url: file.path,
-      caption: ''
-    }));
+    const images = await mediaService.addImages(req.organization, req.files, {
+      limit: IMAGE_LIMITS.organization,
+      captions: req.body.captions
+    });
 
-    organization.images.push(...newImages);
-    await organization.save();
+    await auditService.record(req, {
+      action: 'organization.images-uploaded',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id,
+      metadata: { files: req.files.map(file => file.filename) }
+    });
 
     res.json({
       status: 'success',
       message: 'Images uploaded successfully',
-      data: { images: organization.images }
+      data: { images }
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Upload images error:', error);
     res.status(500).json({
       status: 'error',
@@ -269,72 +585,330 @@ router.post('/upload-images', uploadMultiple('images', 10), handleUploadError, a
   }
 });
 
-// @route   GET /api/organizations/opportunities
-// @desc    Get organization's opportunities
+// @route   PUT /api/organizations/images/order
+// @desc    Reorder organization images
 // @access  Private (Organization)
-router.get('/opportunities', async (req, res) => {
+router.put('/images/order', authorize('organization:write'), imageOrderValidation, async (req, res) => {
   try {
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const { page = 1, limit = 10, status, type } = req.query;
-    const skip = (page - 1) * limit;
-
-    // Build filter
-    const filter = { organization: organization._id, isActive: true };
-    if (status) filter.status = status;
-    if (type) filter.type = type;
-
-    const opportunities = await Opportunity.find(filter)
-      .populate('organization', 'name logo')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const images = await mediaService.reorderImages(req.organization, req.body.order);
 
-    const total = await Opportunity.countDocuments(filter);
+    await auditService.record(req, {
+      action: 'organization.images-reordered',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id,
+      metadata: { order: req.body.order }
+    });
 
     res.json({
       status: 'success',
-      data: {
-        opportunities,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
-      }
+      message: 'Images reordered successfully',
+      data: { images }
     });
 
   } catch (error) {
-    console.error('Get opportunities error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Reorder images error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to fetch opportunities',
+      message: 'Failed to reorder images',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// @route   GET /api/organizations/applications
-// @desc    Get applications for organization's opportunities
+// @route   PUT /api/organizations/images/:imageId
+// @desc    Edit an image caption
 // @access  Private (Organization)
-router.get('/applications', async (req, res) => {
+router.put('/images/:imageId', authorize('organization:write'), captionValidation, async (req, res) => {
   try {
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Organization profile not found'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const image = await mediaService.updateCaption(req.organization, req.params.imageId, req.body.caption);
+
+    await auditService.record(req, {
+      action: 'organization.image-updated',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id,
+      changes: { after: { caption: image.caption } },
+      metadata: { image: image.public_id || image.url }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Caption updated successfully',
+      data: { image }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update caption error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update caption',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/images/:imageId
+// @desc    Delete an organization image and its stored file
+// @access  Private (Organization)
+router.delete('/images/:imageId', authorize('organization:write'), async (req, res) => {
+  try {
+    const image = await mediaService.removeImage(req.organization, req.params.imageId);
+
+    await auditService.record(req, {
+      action: 'organization.image-deleted',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id,
+      metadata: { image: image.public_id || image.url }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Image deleted successfully',
+      data: { images: req.organization.images }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Delete image error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete image',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/organizations/verification
+// @desc    Get the verification status and documents
+// @access  Private (Organization)
+router.get('/verification', authorize('organization:read'), async (req, res) => {
+  res.json({
+    status: 'success',
+    data: { verification: req.organization.verification }
+  });
+});
+
+// @route   POST /api/organizations/verification/documents
+// @desc    Upload verification documents
+// @access  Private (Organization)
+router.post('/verification/documents', authorize('organization:write'), uploadMultiple('documents', 5), handleUploadError, [
+  body('type').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Document type must be less than 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No files uploaded'
+      });
+    }
+
+    const documents = await verificationService.addDocuments(req.organization, req.files, req.body.type);
+
+    await auditService.record(req, {
+      action: 'organization.verification-documents-uploaded',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id,
+      metadata: {
+        type: req.body.type,
+        documents: req.files.map(file => file.filename)
+      }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Verification documents uploaded successfully',
+      data: { documents }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
       });
     }
 
+    console.error('Upload verification documents error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to upload verification documents',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/verification/documents/:documentId
+// @desc    Remove a verification document before it is submitted
+// @access  Private (Organization)
+router.delete('/verification/documents/:documentId', authorize('organization:write'), async (req, res) => {
+  try {
+    const documents = await verificationService.removeDocument(req.organization, req.params.documentId);
+
+    await auditService.record(req, {
+      action: 'organization.verification-document-removed',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id,
+      metadata: { document: req.params.documentId }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Verification document removed successfully',
+      data: { documents }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Remove verification document error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove verification document',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/organizations/verification/submit
+// @desc    Submit the uploaded documents for review
+// @access  Private (Organization)
+router.post('/verification/submit', authorize('organization:write'), async (req, res) => {
+  try {
+    const verification = await verificationService.submit(req.organization);
+
+    await auditService.record(req, {
+      action: 'organization.verification-submitted',
+      target: { type: 'organization', id: req.organization._id },
+      organization: req.organization._id,
+      metadata: { documents: verification.documents.length }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Verification request submitted for review',
+      data: { verification }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Submit verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to submit verification request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/organizations/opportunities
+// @desc    Get organization's opportunities
+// @access  Private (Organization)
+router.get('/opportunities', authorize('opportunities:read'), async (req, res) => {
+  try {
+    const organization = req.organization;
+
+    const { page = 1, limit = 10, status, type } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = { organization: organization._id, isActive: true };
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const opportunities = await Opportunity.find(filter)
+      .populate('organization', 'name logo')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Opportunity.countDocuments(filter);
+
+    res.json({
+      status: 'success',
+      data: {
+        opportunities,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get opportunities error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch opportunities',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/organizations/applications
+// @desc    Get applications for organization's opportunities
+// @access  Private (Organization)
+router.get('/applications', authorize('applications:read'), async (req, res) => {
+  try {
+    const organization = req.organization;
+
     const { page = 1, limit = 10, status, opportunityId } = req.query;
     const skip = (page - 1) * limit;
 
@@ -374,13 +948,41 @@ router.get('/applications', async (req, res) => {
   }
 });
 
-// @route   PUT /api/organizations/applications/:applicationId/status
-// @desc    Update application status
+// @route   GET /api/organizations/members
+// @desc    List team members and pending invitations
 // @access  Private (Organization)
-router.put('/applications/:applicationId/status', [
-  body('status').isIn(['submitted', 'under-review', 'shortlisted', 'interview-scheduled', 'interviewed', 'accepted', 'rejected']).withMessage('Invalid status'),
-  body('note').optional().trim(),
-  body('interviewData').optional().isObject().withMessage('Interview data must be an object')
+router.get('/members', authorize('organization:read'), async (req, res) => {
+  try {
+    const members = await OrganizationMember.find({ organization: req.organization._id })
+      .populate('user', 'email lastLogin')
+      .populate('invitedBy', 'email')
+      .sort({ status: 1, createdAt: 1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        members,
+        currentRole: req.membership.role,
+        permissions: policyService.permissionsFor(req.actor)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get members error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch members',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/organizations/members/invite
+// @desc    Invite a teammate by email
+// @access  Private (Organization owner)
+router.post('/members/invite', authorize('members:manage'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -392,56 +994,353 @@ router.put('/applications/:applicationId/status', [
       });
     }
 
-    const organization = await Organization.findOne({ user: req.user._id });
-    
-    if (!organization) {
+    const member = await membershipService.invite(req.organization, req.body, req.user);
+
+    await auditService.record(req, {
+      action: 'organization.member-invited',
+      target: { type: 'organization-member', id: member._id },
+      organization: req.organization._id,
+      metadata: { role: member.role }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Invitation sent successfully',
+      data: { member }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send invitation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/members/:memberId
+// @desc    Change a member's role
+// @access  Private (Organization owner)
+router.put('/members/:memberId', authorize('members:manage'), [
+  body('role').isIn(MEMBER_ROLES).withMessage(`Role must be one of: ${MEMBER_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const member = await OrganizationMember.findOne({
+      _id: req.params.memberId,
+      organization: req.organization._id
+    });
+
+    if (!member) {
       return res.status(404).json({
         status: 'error',
-        message: 'Organization profile not found'
+        message: 'Member not found'
       });
     }
 
-    const application = await Application.findOne({
-      _id: req.params.applicationId,
-      organization: organization._id,
-      isActive: true
+    const previousRole = member.role;
+    await membershipService.changeRole(member, req.body.role);
+
+    await auditService.record(req, {
+      action: 'organization.member-role-changed',
+      target: { type: 'organization-member', id: member._id },
+      organization: req.organization._id,
+      changes: { before: { role: previousRole }, after: { role: member.role } }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Member role updated successfully',
+      data: { member }
     });
 
-    if (!application) {
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update member error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/members/:memberId
+// @desc    Remove a member or cancel an invitation
+// @access  Private (Organization owner)
+router.delete('/members/:memberId', authorize('members:manage'), async (req, res) => {
+  try {
+    const member = await OrganizationMember.findOne({
+      _id: req.params.memberId,
+      organization: req.organization._id
+    });
+
+    if (!member) {
       return res.status(404).json({
         status: 'error',
-        message: 'Application not found'
+        message: 'Member not found'
       });
     }
 
-    // Update status and add to timeline
-    const oldStatus = application.status;
-    application.status = req.body.status;
-    
-    // Handle interview data
-    if (req.body.status === 'interview-scheduled' && req.body.interviewData) {
-      application.interviewData = {
-        ...req.body.interviewData,
-        datetime: new Date(req.body.interviewData.datetime),
-        scheduledAt: new Date()
-      };
+    await membershipService.remove(member);
+
+    await auditService.record(req, {
+      action: 'organization.member-removed',
+      target: { type: 'organization-member', id: member._id },
+      organization: req.organization._id,
+      changes: { before: { role: member.role, status: member.status } }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'Member removed successfully'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
     }
-    
-    application.timeline.push({
-      status: req.body.status,
-      note: req.body.note || '',
-      updatedBy: req.user._id
+
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/organizations/api-keys
+// @desc    List the organization's API keys
+// @access  Private (Organization owner)
+router.get('/api-keys', authorize('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ organization: req.organization._id })
+      .populate('createdBy', 'email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: {
+        apiKeys,
+        availableScopes: API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch API keys',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/organizations/api-keys
+// @desc    Create an API key (the key is only shown in this response)
+// @access  Private (Organization owner)
+router.post('/api-keys', authorize('api-keys:manage'), [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required and must be less than 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.create(req.organization, {
+      name: req.body.name,
+      scopes: [...new Set(req.body.scopes)],
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : undefined
+    }, req.user);
+
+    await auditService.record(req, {
+      action: 'organization.api-key-created',
+      target: { type: 'api-key', id: apiKey._id },
+      organization: req.organization._id,
+      metadata: { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: { apiKey, key }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/organizations/api-keys/:keyId
+// @desc    Revoke an API key
+// @access  Private (Organization owner)
+router.delete('/api-keys/:keyId', authorize('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      organization: req.organization._id,
+      revokedAt: null
     });
 
-    await application.save();
+    if (!apiKey) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found'
+      });
+    }
+
+    await apiKeyService.revoke(apiKey);
+
+    await auditService.record(req, {
+      action: 'organization.api-key-revoked',
+      target: { type: 'api-key', id: apiKey._id },
+      organization: req.organization._id,
+      metadata: { name: apiKey.name }
+    });
+
+    res.json({
+      status: 'success',
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/organizations/audit-events
+// @desc    Query the audit log of the organization
+// @access  Private (Organization owner)
+router.get('/audit-events', authorize('audit:read'), auditQueryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const filter = auditService.buildFilter(req.query);
+    filter.organization = req.organization._id;
+
+    const { events, pagination } = await auditService.query(filter, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: { events, pagination }
+    });
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch audit events',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/organizations/applications/:applicationId/status
+// @desc    Update application status
+// @access  Private (Organization)
+router.put('/applications/:applicationId/status', authorize('applications:write', {
+  load: (req) => Application.findOne({ _id: req.params.applicationId, isActive: true }),
+  notFound: 'Application not found'
+}), [
+  body('status').customSanitizer(status => applicationStatusService.normalize(status)).isIn(ORGANIZATION_STATUSES).withMessage('Invalid status'),
+  body('note').optional().trim(),
+  body('interviewData').optional().isObject().withMessage('Interview data must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = req.resource;
+    const before = auditService.snapshot(application, ['status', 'interviewData']);
+
+    await applicationStatusService.changeStatus(application, req.body.status, {
+      actor: req.actor,
+      user: req.user,
+      note: req.body.note,
+      interviewData: req.body.interviewData
+    });
+
+    await auditService.record(req, {
+      action: 'application.status-updated',
+      target: { type: 'application', id: application._id },
+      organization: application.organization,
+      changes: auditService.diff(before, auditService.snapshot(application, ['status', 'interviewData'])),
+      metadata: req.body.note ? { note: req.body.note } : undefined
+    });
+    const allowedTransitions = await applicationStatusService.getAllowedTransitions(application, req.actor);
 
     res.json({
       status: 'success',
       message: 'Application status updated successfully',
-      data: { application }
+      data: { application, allowedTransitions }
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
     console.error('Update application status error:', error);
     res.status(500).json({
       status: 'error',
@@ -1,6 +1,7 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { verifyToken, requireRole } from '../middleware/auth.js';
+import { verifyToken, requireTwoFactor } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
 import matchingService from '../services/matchingService.js';
 import Employee from '../models/Employee.js';
 import Organization from '../models/Organization.js';
@@ -12,7 +13,7 @@ const router = express.Router();
  * @desc    Get recommended opportunities for an employee
  * @access  Private (Employee)
  */
-router.get('/opportunities', verifyToken, requireRole('employee'), async (req, res) => {
+router.get('/opportunities', verifyToken, authorize('recommendations:read'), async (req, res) => {
   try {
     const { limit = 10, type, category, location } = req.query;
     
@@ -67,18 +68,11 @@ router.get('/opportunities', verifyToken, requireRole('employee'), async (req, r
  * @desc    Get recommended employees for an organization
  * @access  Private (Organization)
  */
-router.get('/employees', verifyToken, requireRole('organization'), async (req, res) => {
+router.get('/employees', verifyToken, requireTwoFactor, authorize('applications:read'), async (req, res) => {
   try {
     const { limit = 10, experienceLevel, skills, interests } = req.query;
     
-    // Get organization profile
-    const organization = await Organization.findOne({ user: req.user.id });
-    if (!organization) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Organization profile not found'
-      });
-    }
+    const organization = req.organization;
 
     const recommendations = await matchingService.getRecommendedEmployees(organization._id, parseInt(limit));
 
@@ -148,8 +142,8 @@ router.get('/employees', verifyToken, requireRole('organization'), async (req, r
  * @access  Private (Employee)
  */
 router.post('/update-skills', 
-  verifyToken, 
-  requireRole('employee'),
+  verifyToken,
+  authorize('skills:write'),
   [
     body('skills').isArray().withMessage('Skills must be an array'),
     body('skills.*.name').notEmpty().withMessage('Skill name is required'),
@@ -218,7 +212,7 @@ router.post('/update-skills',
  */
 router.post('/update-requirements',
   verifyToken,
-  requireRole('organization'),
+  authorize('organization:write'),
   [
     body('requirements.preferredSkills').isArray().withMessage('Preferred skills must be an array'),
     body('requirements.preferredSkills.*.name').notEmpty().withMessage('Skill name is required'),
@@ -242,13 +236,7 @@ router.post('/update-requirements',
 
       const { requirements, culture } = req.body;
 
-      const organization = await Organization.findOne({ user: req.user.id });
-      if (!organization) {
-        return res.status(404).json({
-          status: 'error',
-          message: 'Organization profile not found'
-        });
-      }
+      const organization = req.organization;
 
       // Update requirements and culture
       if (requirements) {
@@ -287,19 +275,18 @@ router.post('/update-requirements',
  * @desc    Get detailed match score between employee and organization
  * @access  Private
  */
-router.get('/match-score/:employeeId/:organizationId', verifyToken, async (req, res) => {
+router.get('/match-score/:employeeId/:organizationId', verifyToken, authorize('match-score:read', {
+  load: async (req) => {
+    const [employee, organization] = await Promise.all([
+      Employee.findById(req.params.employeeId),
+      Organization.findById(req.params.organizationId)
+    ]);
+    return employee && organization ? { employee, organization } : null;
+  },
+  notFound: 'Employee or organization not found'
+}), async (req, res) => {
   try {
-    const { employeeId, organizationId } = req.params;
-
-    const employee = await Employee.findById(employeeId);
-    const organization = await Organization.findById(organizationId);
-
-    if (!employee || !organization) {
-      return res.status(404).json({
-        status: 'error',
-        message: 'Employee or organization not found'
-      });
-    }
+    const { employee, organization } = req.resource;
 
     const skillScore = matchingService.calculateSkillMatch(
       employee.skills,
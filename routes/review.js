@@ -0,0 +1,299 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Review, { REVIEW_DIMENSIONS, REPORT_REASONS } from '../models/Review.js';
+import Application from '../models/Application.js';
+import Organization from '../models/Organization.js';
+import Employee from '../models/Employee.js';
+import { verifyToken, requireRole, requireTwoFactor } from '../middleware/auth.js';
+import { authorize } from '../middleware/authorize.js';
+import reviewService from '../services/reviewService.js';
+
+const router = express.Router();
+
+// Validation rules for the review content; `creating` makes the overall rating and text required
+const reviewValidation = (creating) => [
+  (creating ? body('ratings.overall') : body('ratings.overall').optional())
+    .isInt({ min: 1, max: 5 }).withMessage('Overall rating must be between 1 and 5'),
+  ...REVIEW_DIMENSIONS.filter(dimension => dimension !== 'overall').map(dimension =>
+    body(`ratings.${dimension}`).optional().isInt({ min: 1, max: 5 }).withMessage(`${dimension} rating must be between 1 and 5`)
+  ),
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  (creating ? body('text') : body('text').optional())
+    .trim().isLength({ min: 1, max: 2000 }).withMessage('Review text is required and cannot exceed 2000 characters')
+];
+
+// Load the review in the URL for a policy check
+const loadReview = (req) => Review.findById(req.params.id);
+
+// @route   GET /api/reviews/organizations/:organizationId
+// @desc    Published reviews of an organization with average ratings
+// @access  Public
+router.get('/organizations/:organizationId', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const organization = await Organization.findOne({ _id: req.params.organizationId, isActive: true })
+      .select('name rating');
+
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Organization not found'
+      });
+    }
+
+    const { reviews, summary, pagination } = await reviewService.listForOrganization(organization._id, { page, limit });
+
+    res.json({
+      status: 'success',
+      data: {
+        organization,
+        summary,
+        reviews,
+        pagination
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Apply authentication to all routes below
+router.use(verifyToken);
+router.use(requireTwoFactor);
+
+// @route   POST /api/reviews
+// @desc    Review an organization after an accepted application (one review per engagement)
+// @access  Private (Employee)
+router.post('/', [
+  body('applicationId').isMongoId().withMessage('Valid application ID is required'),
+  ...reviewValidation(true)
+], authorize('reviews:create', {
+  load: (req) => (/^[0-9a-fA-F]{24}$/.test(req.body.applicationId)
+    ? Application.findOne({ _id: req.body.applicationId, isActive: true })
+    : null),
+  notFound: 'Application not found'
+}), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await reviewService.create(req.resource, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Review submitted successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Create review error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to submit review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   GET /api/reviews/mine
+// @desc    Reviews written by the current employee
+// @access  Private (Employee)
+router.get('/mine', requireRole(['employee']), async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ user: req.user._id });
+    if (!employee) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Employee profile not found'
+      });
+    }
+
+    const reviews = await Review.find({ employee: employee._id })
+      .select('-reports')
+      .populate('organization', 'name logo')
+      .populate('opportunity', 'title type')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      status: 'success',
+      data: { reviews }
+    });
+
+  } catch (error) {
+    console.error('Get own reviews error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch reviews',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit own review
+// @access  Private (Employee)
+router.put('/:id', reviewValidation(false), authorize('reviews:write', {
+  load: loadReview,
+  notFound: 'Review not found'
+}), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await reviewService.update(req.resource, req.body);
+
+    res.json({
+      status: 'success',
+      message: 'Review updated successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete own review
+// @access  Private (Employee)
+router.delete('/:id', authorize('reviews:write', {
+  load: loadReview,
+  notFound: 'Review not found'
+}), async (req, res) => {
+  try {
+    await reviewService.remove(req.resource);
+
+    res.json({
+      status: 'success',
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id/response
+// @desc    Publish or replace the organization's response to a review
+// @access  Private (Organization)
+router.put('/:id/response', [
+  body('text').trim().isLength({ min: 1, max: 1000 }).withMessage('Response is required and cannot exceed 1000 characters')
+], authorize('reviews:respond', {
+  load: loadReview,
+  notFound: 'Review not found'
+}), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await reviewService.respond(req.resource, req.user, req.body.text);
+
+    res.json({
+      status: 'success',
+      message: 'Response saved successfully',
+      data: { response: review.response }
+    });
+
+  } catch (error) {
+    console.error('Respond to review error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to save response',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/report
+// @desc    Report an abusive review for moderation
+// @access  Private
+router.post('/:id/report', [
+  body('reason').isIn(REPORT_REASONS).withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('details').optional().trim().isLength({ max: 500 }).withMessage('Details cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+
+    if (!review || review.status !== 'published') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Review not found'
+      });
+    }
+
+    await reviewService.report(review, req.user, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Thank you. The review has been reported for moderation.'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Report review error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to report review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -15,6 +15,9 @@ import opportunityRoutes from './routes/opportunity.js';
 import applicationRoutes from './routes/application.js';
 import matchingRoutes from './routes/matching.js';
 import recommendationRoutes from './routes/recommendations.js';
+import adminRoutes from './routes/admin.js';
+import reviewRoutes from './routes/review.js';
+import scheduler from './services/scheduler.js';
 
 // Load environment variables
 dotenv.config();
@@ -60,7 +63,12 @@ mongoose.connect(process.env.MONGO_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+
+  // Background jobs (account purge, opportunity lifecycle)
+  scheduler.start();
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -71,6 +79,8 @@ app.use('/api/opportunities', opportunityRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/matching', matchingRoutes);
 app.use('/api/recommendations', recommendationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
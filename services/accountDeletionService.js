@@ -0,0 +1,197 @@
+import User from '../models/User.js';
+import Employee from '../models/Employee.js';
+import Application from '../models/Application.js';
+import Session from '../models/Session.js';
+import Review from '../models/Review.js';
+import { deleteAsset } from '../middleware/upload.js';
+import followService from './followService.js';
+
+const REDACTED = 'Redacted';
+
+const deletionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class AccountDeletionService {
+  /**
+   * Grace period before a deletion request is carried out, in milliseconds
+   */
+  getGracePeriod() {
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Every uploaded file that belongs to the employee
+   */
+  collectDocuments(employee, applications) {
+    const documents = [];
+
+    const picture = employee?.personalInfo?.profilePicture;
+    if (picture?.url) {
+      documents.push({ source: 'profile-picture', public_id: picture.public_id, url: picture.url });
+    }
+
+    (employee?.documents || []).forEach(document => {
+      documents.push({
+        source: 'profile',
+        type: document.type,
+        name: document.name,
+        public_id: document.public_id,
+        url: document.url
+      });
+    });
+
+    applications.forEach(application => {
+      ['resume', 'coverLetter'].forEach(kind => {
+        const document = application.documents?.[kind];
+        if (document?.url) {
+          documents.push({
+            source: `application:${application._id}`,
+            type: kind,
+            name: document.name,
+            public_id: document.public_id,
+            url: document.url
+          });
+        }
+      });
+    });
+
+    return documents;
+  }
+
+  /**
+   * Bundle everything held about an employee into one archive
+   */
+  async buildExport(user) {
+    const employee = await Employee.findOne({ user: user._id });
+    const applications = employee
+      ? await Application.find({ employee: employee._id })
+        .populate('opportunity', 'title type category')
+        .populate('organization', 'name')
+        .sort({ submittedAt: -1 })
+      : [];
+    const reviews = employee
+      ? await Review.find({ employee: employee._id }).select('-reports').populate('organization', 'name')
+      : [];
+
+    return {
+      exportedAt: new Date(),
+      user,
+      employee,
+      applications,
+      reviews,
+      documents: this.collectDocuments(employee, applications)
+    };
+  }
+
+  /**
+   * Schedule the account for deletion once the grace period ends
+   */
+  async scheduleDeletion(user) {
+    if (user.deletion?.scheduledFor) {
+      throw deletionError('Account deletion is already scheduled', 409);
+    }
+
+    const now = new Date();
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + this.getGracePeriod())
+    };
+    await user.save();
+
+    return user.deletion;
+  }
+
+  /**
+   * Cancel a pending deletion during the grace period
+   */
+  async cancelDeletion(user) {
+    if (!user.deletion?.scheduledFor) {
+      throw deletionError('No account deletion is scheduled');
+    }
+
+    user.deletion = undefined;
+    await user.save();
+  }
+
+  /**
+   * Anonymize the applications organizations keep, then remove the profile and the user.
+   * Steps are ordered so a purge that fails halfway can simply run again.
+   */
+  async purgeAccount(user) {
+    const employee = await Employee.findOne({ user: user._id });
+
+    if (employee) {
+      const applications = await Application.find({ employee: employee._id, anonymizedAt: null });
+
+      for (const document of this.collectDocuments(employee, applications)) {
+        await deleteAsset(document.public_id);
+      }
+
+      await Application.updateMany(
+        { employee: employee._id },
+        {
+          $set: {
+            personalInfo: {
+              firstName: 'Deleted',
+              lastName: 'User',
+              email: 'deleted@anonymized.invalid',
+              phone: REDACTED,
+              address: REDACTED,
+              city: REDACTED,
+              state: REDACTED,
+              country: REDACTED,
+              dateOfBirth: new Date(0)
+            },
+            education: [],
+            experience: [],
+            coverLetter: REDACTED,
+            documents: {},
+            additionalInfo: {},
+            skills: [],
+            notes: [],
+            'availability.startDate': new Date(0),
+            'availability.hoursPerWeek': 0,
+            anonymizedAt: new Date()
+          },
+          $unset: { interviewData: 1 }
+        }
+      );
+      // Status notes can mention the candidate; the statuses and dates are kept
+      await Application.updateMany(
+        { employee: employee._id, 'timeline.0': { $exists: true } },
+        { $unset: { 'timeline.$[].note': 1 } }
+      );
+
+      await followService.removeAllForEmployee(employee._id);
+      await Employee.deleteOne({ _id: employee._id });
+    }
+
+    await Session.deleteMany({ user: user._id });
+    await User.deleteOne({ _id: user._id });
+  }
+
+  /**
+   * Purge every account whose grace period has ended. Returns how many were removed.
+   */
+  async purgeDueAccounts() {
+    const users = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+    let purged = 0;
+
+    for (const user of users) {
+      try {
+        await this.purgeAccount(user);
+        purged++;
+      } catch (error) {
+        console.error(`Account purge failed for ${user._id}:`, error);
+      }
+    }
+
+    return purged;
+  }
+}
+
+export default new AccountDeletionService();
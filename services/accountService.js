@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import Employee from '../models/Employee.js';
+import membershipService from './membershipService.js';
+
+const accountError = (message, status = 400, errors) => {
+  const error = new Error(message);
+  error.status = status;
+  if (errors) error.errors = errors;
+  return error;
+};
+
+// Turn a mongoose ValidationError into the same shape express-validator reports
+const toValidationErrors = (error) => Object.values(error.errors).map(fieldError => ({
+  path: fieldError.path,
+  msg: fieldError.message
+}));
+
+class AccountService {
+  /**
+   * Build the role-specific profile for a new user from the fields given at sign-up.
+   * Missing fields leave the profile in the pending onboarding state.
+   */
+  buildProfile(user, additionalData = {}) {
+    if (user.role === 'organization') {
+      return new Organization({
+        user: user._id,
+        onboardingStatus: 'pending',
+        name: additionalData.name,
+        description: additionalData.description,
+        website: additionalData.website,
+        industry: additionalData.industry,
+        size: additionalData.size,
+        location: {
+          address: additionalData.address,
+          city: additionalData.city,
+          state: additionalData.state,
+          country: additionalData.country
+        },
+        contact: {
+          email: user.email,
+          phone: additionalData.phone
+        }
+      });
+    }
+
+    return new Employee({
+      user: user._id,
+      onboardingStatus: 'pending',
+      personalInfo: {
+        firstName: additionalData.firstName,
+        lastName: additionalData.lastName,
+        dateOfBirth: additionalData.dateOfBirth,
+        gender: additionalData.gender,
+        phone: additionalData.phone
+      },
+      location: {
+        address: additionalData.address,
+        city: additionalData.city,
+        state: additionalData.state,
+        country: additionalData.country
+      }
+    });
+  }
+
+  /**
+   * Validate documents before anything is written
+   */
+  async validateAll(documents) {
+    for (const document of documents) {
+      try {
+        await document.validate();
+      } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+          throw accountError('Validation failed', 400, toValidationErrors(error));
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Create a user together with its Employee/Organization profile in one transaction,
+   * so a failure never leaves a user without a profile.
+   * With an invitation, the user joins that organization instead of creating one.
+   */
+  async createAccount({ email, password, role, profileData, invitation, ...userFields }) {
+    const user = new User({ email, password, role, ...userFields });
+    const profile = invitation ? null : this.buildProfile(user, profileData);
+
+    await this.validateAll(profile ? [user, profile] : [user]);
+
+    const save = () => mongoose.connection.transaction(async (session) => {
+      await user.save({ session });
+
+      if (invitation) {
+        await membershipService.acceptInvitation(invitation, user, { session });
+        return;
+      }
+
+      await profile.save({ session });
+
+      if (role === 'organization') {
+        await membershipService.createOwner(profile, user, { session });
+      }
+    });
+
+    try {
+      try {
+        await save();
+      } catch (error) {
+        // Another organization took the same slug meanwhile; the transaction rolled back, so run it again
+        if (!(profile instanceof Organization && profile.resolveSlugConflict(error))) throw error;
+        await save();
+      }
+    } catch (error) {
+      // Another registration claimed the email between the check and the insert
+      if (error.code === 11000 && error.keyPattern?.email) {
+        throw accountError('User already exists with this email');
+      }
+      throw error;
+    }
+
+    return { user, profile: invitation ? invitation.organization : profile };
+  }
+}
+
+export default new AccountService();
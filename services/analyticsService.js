@@ -0,0 +1,210 @@
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import Opportunity from '../models/Opportunity.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Histogram bucket boundaries for durations, in days (longer durations go in the last bucket)
+const DURATION_BUCKETS = [0, 1, 3, 7, 14, 30, 60];
+
+// Stages an application passes through, in order
+const TIME_IN_STAGE = ['submitted', 'reviewing', 'shortlisted', 'interview'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+const round = (value) => (value == null ? null : Math.round(value * 10) / 10);
+
+// Percentage of `part` in `whole`, or null when there is nothing to compare against
+const rate = (part, whole) => (whole ? round((part / whole) * 100) : null);
+
+const isSet = (field) => ({ $ne: [{ $ifNull: [field, null] }, null] });
+
+const daysBetween = (from, to) => ({ $divide: [{ $subtract: [to, from] }, DAY_MS] });
+
+// Time from entering a stage until the first later stage was reached, in days
+const stageDuration = (enteredAt, laterStages) => ({
+  $cond: [isSet(enteredAt), daysBetween(enteredAt, { $min: laterStages }), null]
+});
+
+// Stage timestamps and the funnel stages every application reached.
+// Reaching a later stage counts as passing the earlier ones.
+const FUNNEL_FIELDS = [
+  {
+    $addFields: {
+      // interviewData.scheduledAt has a default, so only trust it when an interview was set up
+      interviewAt: { $cond: [isSet('$interviewData.datetime'), '$interviewData.scheduledAt', null] }
+    }
+  },
+  {
+    $addFields: {
+      reachedShortlist: { $or: [isSet('$shortlistedAt'), { $in: ['$status', ['shortlisted', 'interview', 'accepted']] }] },
+      reachedInterview: { $or: [isSet('$interviewAt'), { $in: ['$status', ['interview', 'accepted']] }] },
+      reachedAccepted: { $or: [isSet('$acceptedAt'), { $eq: ['$status', 'accepted'] }] }
+    }
+  }
+];
+
+const countWhen = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+const FUNNEL_COUNTS = {
+  applications: { $sum: 1 },
+  shortlisted: countWhen('$reachedShortlist'),
+  interview: countWhen('$reachedInterview'),
+  accepted: countWhen('$reachedAccepted'),
+  rejected: countWhen({ $eq: ['$status', 'rejected'] })
+};
+
+// Summary and histogram of a duration field
+const distributionFacets = (field) => {
+  const present = { $match: { [field]: { $ne: null } } };
+  return {
+    [`${field}Summary`]: [
+      present,
+      { $group: { _id: null, count: { $sum: 1 }, average: { $avg: `$${field}` }, min: { $min: `$${field}` }, max: { $max: `$${field}` } } }
+    ],
+    [`${field}Histogram`]: [
+      present,
+      { $bucket: { groupBy: `$${field}`, boundaries: DURATION_BUCKETS, default: 'longer', output: { count: { $sum: 1 } } } }
+    ]
+  };
+};
+
+class AnalyticsService {
+  /**
+   * Conversion rates between consecutive funnel stages, in percent
+   */
+  conversion({ views, applications, shortlisted, interview, accepted }) {
+    return {
+      viewToApplication: rate(applications, views),
+      applicationToShortlist: rate(shortlisted, applications),
+      shortlistToInterview: rate(interview, shortlisted),
+      interviewToAccepted: rate(accepted, interview),
+      applicationToAccepted: rate(accepted, applications)
+    };
+  }
+
+  /**
+   * Shape the aggregated summary and histogram of a duration into a distribution
+   */
+  toDistribution(summary, histogram) {
+    const lastBoundary = DURATION_BUCKETS[DURATION_BUCKETS.length - 1];
+
+    return {
+      count: summary?.count || 0,
+      averageDays: round(summary?.average),
+      minDays: round(summary?.min),
+      maxDays: round(summary?.max),
+      histogram: DURATION_BUCKETS.map((from, index) => {
+        const to = DURATION_BUCKETS[index + 1];
+        const bucket = histogram.find(row => row._id === (to === undefined ? 'longer' : from));
+        return {
+          days: to === undefined ? `${lastBoundary}+` : `${from}-${to}`,
+          count: bucket?.count || 0
+        };
+      })
+    };
+  }
+
+  /**
+   * Hiring funnel of an organization: per-opportunity funnels and conversion rates,
+   * trends per week or month, and time-in-stage and time-to-hire distributions.
+   * Applications are filtered by submission date; views are lifetime totals per opportunity.
+   */
+  async getHiringFunnel(organizationId, { from, to, type, opportunity, groupBy = 'month' } = {}) {
+    const opportunityFilter = { organization: organizationId, isActive: true };
+    if (type) opportunityFilter.type = type;
+    if (opportunity) opportunityFilter._id = opportunity;
+
+    const opportunities = await Opportunity.find(opportunityFilter)
+      .select('title type status metrics.views createdAt')
+      .sort({ createdAt: -1 });
+
+    const match = {
+      organization: toObjectId(organizationId),
+      opportunity: { $in: opportunities.map(item => item._id) },
+      isActive: true
+    };
+    if (from || to) {
+      match.submittedAt = {};
+      if (from) match.submittedAt.$gte = new Date(from);
+      if (to) match.submittedAt.$lte = new Date(to);
+    }
+
+    const [result] = await Application.aggregate([
+      { $match: match },
+      ...FUNNEL_FIELDS,
+      {
+        $addFields: {
+          submittedDuration: stageDuration('$submittedAt',
+            ['$reviewedAt', '$shortlistedAt', '$interviewAt', '$acceptedAt', '$rejectedAt', '$withdrawnAt']),
+          reviewingDuration: stageDuration('$reviewedAt',
+            ['$shortlistedAt', '$interviewAt', '$acceptedAt', '$rejectedAt', '$withdrawnAt']),
+          shortlistedDuration: stageDuration('$shortlistedAt',
+            ['$interviewAt', '$acceptedAt', '$rejectedAt', '$withdrawnAt']),
+          interviewDuration: stageDuration('$interviewAt',
+            ['$acceptedAt', '$rejectedAt', '$withdrawnAt']),
+          timeToHire: { $cond: [isSet('$acceptedAt'), daysBetween('$submittedAt', '$acceptedAt'), null] }
+        }
+      },
+      {
+        $facet: {
+          byOpportunity: [
+            { $group: { _id: '$opportunity', ...FUNNEL_COUNTS } }
+          ],
+          trends: [
+            {
+              $group: {
+                _id: { $dateTrunc: { date: '$submittedAt', unit: groupBy, ...(groupBy === 'week' && { startOfWeek: 'monday' }) } },
+                ...FUNNEL_COUNTS,
+                averageTimeToHire: { $avg: '$timeToHire' }
+              }
+            },
+            { $sort: { _id: 1 } }
+          ],
+          ...TIME_IN_STAGE.reduce((facets, stage) => ({ ...facets, ...distributionFacets(`${stage}Duration`) }), {}),
+          ...distributionFacets('timeToHire')
+        }
+      }
+    ]);
+
+    const counts = new Map(result.byOpportunity.map(row => [row._id.toString(), row]));
+    const totals = { views: 0, applications: 0, shortlisted: 0, interview: 0, accepted: 0, rejected: 0 };
+
+    const funnels = opportunities.map(item => {
+      const row = counts.get(item._id.toString()) || {};
+      const funnel = {
+        views: item.metrics?.views || 0,
+        applications: row.applications || 0,
+        shortlisted: row.shortlisted || 0,
+        interview: row.interview || 0,
+        accepted: row.accepted || 0,
+        rejected: row.rejected || 0
+      };
+      Object.keys(totals).forEach(key => { totals[key] += funnel[key]; });
+
+      return {
+        opportunity: { _id: item._id, title: item.title, type: item.type, status: item.status },
+        ...funnel,
+        conversion: this.conversion(funnel)
+      };
+    });
+
+    return {
+      filters: { from: from || null, to: to || null, type: type || null, opportunity: opportunity || null, groupBy },
+      totals: { ...totals, conversion: this.conversion(totals) },
+      opportunities: funnels,
+      trends: result.trends.map(({ _id, averageTimeToHire, ...row }) => ({
+        period: _id,
+        ...row,
+        averageTimeToHireDays: round(averageTimeToHire)
+      })),
+      timeInStage: TIME_IN_STAGE.reduce((stages, stage) => {
+        stages[stage] = this.toDistribution(result[`${stage}DurationSummary`][0], result[`${stage}DurationHistogram`]);
+        return stages;
+      }, {}),
+      timeToHire: this.toDistribution(result.timeToHireSummary[0], result.timeToHireHistogram)
+    };
+  }
+}
+
+export default new AnalyticsService();
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import OrganizationMember from '../models/OrganizationMember.js';
+
+const KEY_PATTERN = /^ink_([a-f0-9]{12})_([a-f0-9]{64})$/;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+class ApiKeyService {
+  /**
+   * Check whether a bearer credential looks like an API key
+   */
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith('ink_');
+  }
+
+  /**
+   * Create a key for an organization. The plain key is returned once and never stored.
+   */
+  async create(organization, { name, scopes, expiresAt }, createdBy) {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const apiKey = await ApiKey.create({
+      organization: organization._id,
+      name,
+      prefix,
+      keyHash: hashSecret(secret),
+      scopes,
+      expiresAt,
+      createdBy: createdBy._id
+    });
+
+    return { apiKey, key: `ink_${prefix}_${secret}` };
+  }
+
+  /**
+   * Resolve a plain key to { apiKey, user } or null. The user is the key's creator,
+   * who must still be an active member of the key's organization.
+   */
+  async authenticate(value, req) {
+    const match = KEY_PATTERN.exec(value || '');
+    if (!match) return null;
+
+    const [, prefix, secret] = match;
+    const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+    if (!apiKey || !apiKey.isValid()) return null;
+
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const actual = Buffer.from(hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+    const user = await User.findById(apiKey.createdBy).select('-password');
+    if (!user || !user.isActive) return null;
+
+    const isMember = await OrganizationMember.exists({
+      organization: apiKey.organization,
+      user: user._id,
+      status: 'active'
+    });
+    if (!isMember) return null;
+
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Revoke every key a member created for an organization (used when the member leaves)
+   */
+  async revokeForMember(member) {
+    if (!member.user) return;
+
+    await ApiKey.updateMany(
+      { organization: member.organization, createdBy: member.user, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+
+  /**
+   * Revoke a key
+   */
+  async revoke(apiKey) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    return apiKey;
+  }
+}
+
+export default new ApiKeyService();
@@ -0,0 +1,180 @@
+import Application, { APPLICATION_STATUSES } from '../models/Application.js';
+import Opportunity from '../models/Opportunity.js';
+import policyService from './policyService.js';
+
+// Names used by older clients, mapped to the canonical statuses
+export const STATUS_ALIASES = {
+  'under-review': 'reviewing',
+  'interview-scheduled': 'interview',
+  interviewed: 'interview'
+};
+
+// Statuses an organization may move an application to from each status, unless the
+// opportunity overrides them. Withdrawing is the candidate's decision and not listed here.
+export const DEFAULT_TRANSITIONS = {
+  submitted: ['reviewing', 'shortlisted', 'rejected'],
+  reviewing: ['shortlisted', 'rejected'],
+  shortlisted: ['interview', 'rejected'],
+  interview: ['accepted', 'rejected'],
+  accepted: [],
+  rejected: [],
+  withdrawn: []
+};
+
+// Applications still waiting for a decision (candidates may withdraw from these)
+export const PENDING_STATUSES = ['submitted', 'reviewing', 'shortlisted', 'interview'];
+
+// Date field set when an application enters a status
+const STATUS_TIMESTAMPS = {
+  reviewing: 'reviewedAt',
+  shortlisted: 'shortlistedAt',
+  accepted: 'acceptedAt',
+  rejected: 'rejectedAt',
+  withdrawn: 'withdrawnAt'
+};
+
+const statusError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class ApplicationStatusService {
+  /**
+   * Canonical name of a status (aliases are translated, unknown values returned as-is)
+   */
+  normalize(status) {
+    return STATUS_ALIASES[status] || status;
+  }
+
+  /**
+   * Check opportunity overrides ({ status: [next statuses] }) and return them as stored
+   */
+  parseTransitions(transitions) {
+    if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+      throw statusError('Transitions must be an object of status lists');
+    }
+
+    return Object.entries(transitions).map(([from, to]) => {
+      if (!APPLICATION_STATUSES.includes(from) || from === 'withdrawn') {
+        throw statusError(`Transitions cannot be set for '${from}'`);
+      }
+      if (!Array.isArray(to)) {
+        throw statusError(`Transitions from '${from}' must be a list of statuses`);
+      }
+
+      const next = [...new Set(to.map(status => this.normalize(status)))];
+      const invalid = next.find(status => !APPLICATION_STATUSES.includes(status) || status === 'withdrawn' || status === from);
+      if (invalid) {
+        throw statusError(`'${from}' cannot lead to '${invalid}'`);
+      }
+
+      return { from, to: next };
+    });
+  }
+
+  /**
+   * Transition table of an opportunity: the defaults with its overrides applied
+   */
+  getTransitionTable(opportunity) {
+    const table = { ...DEFAULT_TRANSITIONS };
+    (opportunity?.statusTransitions || []).forEach(({ from, to }) => {
+      table[from] = [...to];
+    });
+    return table;
+  }
+
+  /**
+   * Statuses the actor may move the application to next. Organizations follow the
+   * opportunity's transition table; candidates can only withdraw.
+   */
+  async getAllowedTransitions(application, actor) {
+    const allowed = [];
+
+    if (policyService.can(actor, 'applications:write', application)) {
+      const opportunity = await Opportunity.findById(application.opportunity._id || application.opportunity)
+        .select('statusTransitions');
+      allowed.push(...this.getTransitionTable(opportunity)[application.status]);
+    }
+    if (policyService.can(actor, 'applications:withdraw', application) &&
+      PENDING_STATUSES.includes(application.status)) {
+      allowed.push('withdrawn');
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Move an application to a new status and record the change on its timeline.
+   * The move must be an allowed transition for the actor; scheduling an interview
+   * again while in 'interview' is always allowed and counts as a change. The write only
+   * applies while the application is still in the status that was checked.
+   */
+  async changeStatus(application, status, { actor, user, note, interviewData } = {}) {
+    const nextStatus = this.normalize(status);
+    const previousStatus = application.status;
+
+    if (!APPLICATION_STATUSES.includes(nextStatus)) {
+      throw statusError('Invalid status');
+    }
+
+    const schedulesInterview = nextStatus === 'interview' && interviewData;
+    if (nextStatus === previousStatus && !schedulesInterview) {
+      throw statusError(`Application is already ${previousStatus}`);
+    }
+
+    if (nextStatus !== previousStatus) {
+      const allowed = await this.getAllowedTransitions(application, actor);
+      if (!allowed.includes(nextStatus)) {
+        throw statusError(allowed.length
+          ? `Cannot move an application from '${previousStatus}' to '${nextStatus}' (allowed: ${allowed.join(', ')})`
+          : `Cannot move an application from '${previousStatus}' to '${nextStatus}' (no further changes are allowed)`, 409);
+      }
+    }
+
+    const now = new Date();
+    const set = { status: nextStatus };
+    const timeline = [];
+
+    // Applications created before the timeline existed start with their submission
+    if (application.timeline.length === 0) {
+      timeline.push({ status: 'submitted', changedAt: application.submittedAt });
+    }
+    timeline.push({ status: nextStatus, previousStatus, note, changedBy: user?._id, changedAt: now });
+
+    if (STATUS_TIMESTAMPS[nextStatus]) {
+      set[STATUS_TIMESTAMPS[nextStatus]] = now;
+    }
+
+    if (schedulesInterview) {
+      set.interviewData = {
+        ...interviewData,
+        datetime: new Date(interviewData.datetime),
+        scheduledAt: now
+      };
+    }
+
+    const push = { timeline: { $each: timeline } };
+    if (note) {
+      push.notes = { note, addedBy: user?._id, addedAt: now };
+    }
+
+    // Only apply the change if nobody moved the application since it was read
+    const updated = await Application.findOneAndUpdate(
+      { _id: application._id, status: previousStatus },
+      { $set: set, $push: push },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw statusError('The application was changed by someone else. Reload it and try again.', 409);
+    }
+
+    ['status', 'timeline', 'notes', 'interviewData', ...Object.values(STATUS_TIMESTAMPS)]
+      .forEach(field => application.set(field, updated.get(field)));
+
+    return { previousStatus, status: nextStatus };
+  }
+}
+
+export default new ApplicationStatusService();
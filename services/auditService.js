@@ -0,0 +1,124 @@
+import AuditEvent from '../models/AuditEvent.js';
+
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+class AuditService {
+  /**
+   * Copy selected fields of a document so they can be compared after a change.
+   * The copy is detached (JSON round trip) so later in-place edits do not leak into it.
+   */
+  snapshot(doc, fields) {
+    const snapshot = fields.reduce((values, field) => {
+      values[field] = toPlain(typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+      return values;
+    }, {});
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * Keep only the fields whose value changed between two snapshots
+   */
+  diff(before = {}, after = {}) {
+    const changes = { before: {}, after: {} };
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    fields.forEach(field => {
+      if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        changes.before[field] = before[field];
+        changes.after[field] = after[field];
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Names of the changed fields between two snapshots, one level deep
+   * (e.g. 'personalInfo.phone'). Used where the values are personal data, because
+   * audit events cannot be erased when an account is purged.
+   */
+  changedFields(before = {}, after = {}) {
+    const { before: changedBefore, after: changedAfter } = this.diff(before, after);
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    return Object.keys(changedAfter).flatMap(field => {
+      if (!isObject(changedBefore[field]) || !isObject(changedAfter[field])) return [field];
+
+      const { after: nested } = this.diff(changedBefore[field], changedAfter[field]);
+      return Object.keys(nested).map(key => `${field}.${key}`);
+    });
+  }
+
+  /**
+   * Append an event. The actor defaults to the authenticated user (and API key) of the request.
+   * Failures are logged rather than thrown so auditing never breaks the action itself.
+   */
+  async record(req, { action, actor, target, organization, changes, metadata }) {
+    const user = actor || req.user;
+
+    try {
+      return await AuditEvent.create({
+        action,
+        actor: {
+          user: user?._id,
+          email: user?.email,
+          role: user?.role,
+          apiKey: req.apiKey?._id,
+          impersonator: req.impersonator && !actor ? req.impersonator._id : undefined
+        },
+        target: target && { type: target.type, id: target.id },
+        organization: organization?._id ?? organization,
+        changes,
+        metadata,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (error) {
+      console.error(`Audit event error (${action}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Build a query filter from the supported search parameters
+   */
+  buildFilter({ action, actor, targetType, targetId, from, to }) {
+    const filter = {};
+    if (action) filter.action = action;
+    if (actor) filter['actor.user'] = actor;
+    if (targetType) filter['target.type'] = targetType;
+    if (targetId) filter['target.id'] = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    return filter;
+  }
+
+  /**
+   * Page through events, newest first
+   */
+  async query(filter, { page = 1, limit = 50 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+}
+
+export default new AuditService();
@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import Follow from '../models/Follow.js';
+import Organization from '../models/Organization.js';
+import Opportunity from '../models/Opportunity.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FEED_ORGANIZATION_FIELDS = 'name slug logo industry verification.isVerified';
+const FEED_OPPORTUNITY_FIELDS = 'organization title type category location compensation application.deadline activatedAt';
+
+const followError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Feed cursors point just past the last item returned: "<timestamp>_<id>", base64url encoded
+const encodeCursor = (item) => Buffer.from(`${item.at.getTime()}_${item.id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, 'base64url').toString().split('_');
+  const at = new Date(Number(time));
+  if (Number.isNaN(at.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw followError('Invalid cursor');
+  }
+  return { at, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Items strictly older than the cursor, newest first (the id breaks ties)
+const olderThan = (field, cursor) => (cursor
+  ? { $or: [{ [field]: { $lt: cursor.at } }, { [field]: cursor.at, _id: { $lt: cursor.id } }] }
+  : {});
+
+class FollowService {
+  /**
+   * Days before a deadline that followers are reminded of it
+   */
+  getDeadlineWindow() {
+    const days = parseInt(process.env.FEED_DEADLINE_REMINDER_DAYS) || 7;
+    return days * DAY_MS;
+  }
+
+  /**
+   * Follow an organization from the public directory
+   */
+  async follow(employee, organizationId) {
+    const organization = await Organization.findOne({
+      _id: organizationId,
+      isActive: true,
+      onboardingStatus: { $ne: 'pending' }
+    }).select(FEED_ORGANIZATION_FIELDS);
+
+    if (!organization) {
+      throw followError('Organization not found', 404);
+    }
+
+    try {
+      await Follow.create({ employee: employee._id, organization: organization._id });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw followError('You already follow this organization', 409);
+      }
+      throw error;
+    }
+
+    await Organization.updateOne({ _id: organization._id }, { $inc: { followerCount: 1 } }, { timestamps: false });
+    return organization;
+  }
+
+  /**
+   * Stop following an organization
+   */
+  async unfollow(employee, organizationId) {
+    const { deletedCount } = await Follow.deleteOne({ employee: employee._id, organization: organizationId });
+
+    if (!deletedCount) {
+      throw followError('You do not follow this organization', 404);
+    }
+
+    await Organization.updateOne({ _id: organizationId }, { $inc: { followerCount: -1 } }, { timestamps: false });
+  }
+
+  /**
+   * Remove every follow of an employee (used when the account is deleted)
+   */
+  async removeAllForEmployee(employeeId) {
+    const follows = await Follow.find({ employee: employeeId }).select('organization');
+
+    for (const follow of follows) {
+      await Organization.updateOne({ _id: follow.organization }, { $inc: { followerCount: -1 } }, { timestamps: false });
+    }
+    await Follow.deleteMany({ employee: employeeId });
+  }
+
+  /**
+   * Organizations the employee follows, most recent first
+   */
+  async listFollowing(employee) {
+    const follows = await Follow.find({ employee: employee._id })
+      .populate('organization', FEED_ORGANIZATION_FIELDS)
+      .sort({ createdAt: -1 });
+
+    return follows
+      .filter(follow => follow.organization)
+      .map(follow => ({ organization: follow.organization, followedAt: follow.createdAt }));
+  }
+
+  /**
+   * Activity from followed organizations, newest first: opportunities that went live,
+   * profile updates and deadlines coming up. Each source is read in the same order and
+   * merged, so a page never skips or repeats items. One extra item per source tells
+   * whether another page exists.
+   */
+  async getFeed(employee, { cursor, limit = 20 } = {}) {
+    const position = cursor ? decodeCursor(cursor) : null;
+    const pageSize = parseInt(limit);
+    const now = new Date();
+    const window = this.getDeadlineWindow();
+
+    const organizationIds = (await Follow.find({ employee: employee._id }).select('organization'))
+      .map(follow => follow.organization);
+
+    if (organizationIds.length === 0) {
+      return { items: [], nextCursor: null };
+    }
+
+    const liveOpportunity = {
+      organization: { $in: organizationIds },
+      status: 'active',
+      isActive: true,
+      visibility: 'public'
+    };
+
+    // A deadline reminder appears `window` before the deadline, so it is ordered by that moment
+    const reminderPosition = position && { at: new Date(position.at.getTime() + window), id: position.id };
+
+    const [published, profiles, deadlines] = await Promise.all([
+      Opportunity.find({ ...liveOpportunity, activatedAt: { $lte: now }, ...olderThan('activatedAt', position) })
+        .select(FEED_OPPORTUNITY_FIELDS)
+        .populate('organization', FEED_ORGANIZATION_FIELDS)
+        .sort({ activatedAt: -1, _id: -1 })
+        .limit(pageSize + 1),
+      Organization.find({
+        _id: { $in: organizationIds },
+        isActive: true,
+        profileUpdatedAt: { $lte: now },
+        ...olderThan('profileUpdatedAt', position)
+      })
+        .select(`${FEED_ORGANIZATION_FIELDS} description profileUpdatedAt`)
+        .sort({ profileUpdatedAt: -1, _id: -1 })
+        .limit(pageSize + 1),
+      Opportunity.find({
+        ...liveOpportunity,
+        $and: [
+          { 'application.deadline': { $gt: now, $lte: new Date(now.getTime() + window) } },
+          olderThan('application.deadline', reminderPosition)
+        ]
+      })
+        .select(FEED_OPPORTUNITY_FIELDS)
+        .populate('organization', FEED_ORGANIZATION_FIELDS)
+        .sort({ 'application.deadline': -1, _id: -1 })
+        .limit(pageSize + 1)
+    ]);
+
+    const items = [
+      ...published.map(opportunity => ({
+        type: 'opportunity-published',
+        at: opportunity.activatedAt,
+        id: opportunity._id,
+        organization: opportunity.organization,
+        opportunity
+      })),
+      ...profiles.map(organization => ({
+        type: 'profile-updated',
+        at: organization.profileUpdatedAt,
+        id: organization._id,
+        organization
+      })),
+      ...deadlines.map(opportunity => ({
+        type: 'deadline-approaching',
+        at: new Date(opportunity.application.deadline.getTime() - window),
+        id: opportunity._id,
+        organization: opportunity.organization,
+        opportunity,
+        deadline: opportunity.application.deadline
+      }))
+    ]
+      .sort((a, b) => (b.at - a.at) || b.id.toString().localeCompare(a.id.toString()))
+      .slice(0, pageSize);
+
+    const hasMore = published.length + profiles.length + deadlines.length > items.length;
+
+    return {
+      items,
+      nextCursor: hasMore && items.length > 0 ? encodeCursor(items[items.length - 1]) : null
+    };
+  }
+}
+
+export default new FollowService();
@@ -0,0 +1,237 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+import LockoutEvent from '../models/LockoutEvent.js';
+import User from '../models/User.js';
+import mailService from './mailService.js';
+
+const MINUTE = 60 * 1000;
+
+class LoginProtectionService {
+  /**
+   * Limits for each throttle scope (configurable through the environment)
+   */
+  getPolicy(scope) {
+    if (scope === 'ip') {
+      return {
+        maxFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20'),
+        freeFailures: 5
+      };
+    }
+
+    return {
+      maxFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || '5'),
+      freeFailures: 1
+    };
+  }
+
+  getWindowMs() {
+    return parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15') * MINUTE;
+  }
+
+  getLockoutMs() {
+    return parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15') * MINUTE;
+  }
+
+  /**
+   * Progressive delay before the next attempt: 1s, 2s, 4s ... capped at 30s
+   */
+  calculateDelay(failures, freeFailures) {
+    if (failures <= freeFailures) return 0;
+    return Math.min(1000 * Math.pow(2, failures - freeFailures - 1), 30 * 1000);
+  }
+
+  accountKey(email) {
+    return `account:${email.toLowerCase()}`;
+  }
+
+  ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  /**
+   * Check whether a login attempt may proceed.
+   * Returns { allowed: true } or { allowed: false, status, message, retryAfter }.
+   */
+  async check(email, ip) {
+    const now = new Date();
+    const throttles = await LoginThrottle.find({
+      key: { $in: [this.accountKey(email), this.ipKey(ip)] }
+    });
+
+    for (const throttle of throttles) {
+      const isIp = throttle.key.startsWith('ip:');
+
+      if (throttle.lockedUntil && throttle.lockedUntil > now) {
+        return {
+          allowed: false,
+          status: 423,
+          retryAfter: Math.ceil((throttle.lockedUntil - now) / 1000),
+          message: isIp
+            ? 'Too many failed login attempts from this IP address. Please try again later.'
+            : 'Account temporarily locked due to too many failed login attempts. Check your email for an unlock link or try again later.'
+        };
+      }
+
+      if (throttle.nextAttemptAt && throttle.nextAttemptAt > now) {
+        const retryAfter = Math.ceil((throttle.nextAttemptAt - now) / 1000);
+        return {
+          allowed: false,
+          status: 429,
+          retryAfter,
+          message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failure against one throttle key and lock it once the limit is reached.
+   * The counter is changed atomically so concurrent failures are all counted.
+   * Returns the updated throttle and whether this failure caused a lockout.
+   */
+  async registerFailure(key, scope) {
+    const now = new Date();
+    const windowMs = this.getWindowMs();
+    const { maxFailures, freeFailures } = this.getPolicy(scope);
+
+    // Start counting again once the window has passed or a previous lock has expired
+    await LoginThrottle.updateOne(
+      {
+        key,
+        $or: [
+          { lastFailureAt: { $lt: new Date(now.getTime() - windowMs) } },
+          { lockedUntil: { $lte: now } }
+        ]
+      },
+      { $set: { failures: 0 }, $unset: { lockedUntil: 1 } }
+    );
+
+    const increment = () => LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now },
+        $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) }
+      },
+      { upsert: true, new: true }
+    );
+
+    let throttle;
+    try {
+      throttle = await increment();
+    } catch (error) {
+      // Two first failures inserted the same key at once; the other insert won, so count on it
+      if (error.code !== 11000) throw error;
+      throttle = await increment();
+    }
+
+    const update = {
+      nextAttemptAt: new Date(now.getTime() + this.calculateDelay(throttle.failures, freeFailures))
+    };
+
+    // Only the failure that reaches the limit reports the lockout
+    const locked = throttle.failures === maxFailures;
+    if (throttle.failures >= maxFailures) {
+      update.lockedUntil = throttle.lockedUntil && throttle.lockedUntil > now
+        ? throttle.lockedUntil
+        : new Date(now.getTime() + this.getLockoutMs());
+    }
+
+    update.expiresAt = new Date(Math.max(
+      now.getTime() + windowMs,
+      update.lockedUntil?.getTime() || 0
+    ));
+
+    throttle = await LoginThrottle.findOneAndUpdate({ key }, { $set: update }, { new: true }) || throttle;
+
+    return { throttle, locked };
+  }
+
+  /**
+   * Record a failed login for both the account and the IP address
+   */
+  async recordFailure(email, req, user = null) {
+    const ip = req.ip;
+    const userAgent = req.get('User-Agent');
+
+    const account = await this.registerFailure(this.accountKey(email), 'account');
+    const address = await this.registerFailure(this.ipKey(ip), 'ip');
+
+    if (account.locked) {
+      await LockoutEvent.create({
+        scope: 'account',
+        email,
+        user: user?._id,
+        ip,
+        userAgent,
+        failures: account.throttle.failures,
+        lockedUntil: account.throttle.lockedUntil
+      });
+
+      // Only real accounts get an unlock link; unknown emails are locked silently
+      if (user) {
+        const token = user.createUnlockToken();
+        await user.save();
+
+        try {
+          await mailService.sendAccountUnlockEmail(user.email, token);
+        } catch (mailError) {
+          console.error('Unlock email error:', mailError);
+        }
+      }
+    }
+
+    if (address.locked) {
+      await LockoutEvent.create({
+        scope: 'ip',
+        email,
+        ip,
+        userAgent,
+        failures: address.throttle.failures,
+        lockedUntil: address.throttle.lockedUntil
+      });
+    }
+
+    return this.check(email, ip);
+  }
+
+  /**
+   * Clear the account throttle after a successful login
+   */
+  async recordSuccess(email) {
+    await LoginThrottle.deleteOne({ key: this.accountKey(email) });
+  }
+
+  /**
+   * Unlock an account with an emailed unlock token. Returns the user or null.
+   */
+  async unlockWithToken(token) {
+    const user = await User.findOne({
+      unlockToken: User.hashToken(token),
+      unlockTokenExpires: { $gt: new Date() }
+    });
+
+    if (!user) return null;
+
+    await this.unlockAccount(user, 'email');
+    return user;
+  }
+
+  /**
+   * Clear an account lock and close its open lockout events
+   */
+  async unlockAccount(user, via) {
+    user.unlockToken = undefined;
+    user.unlockTokenExpires = undefined;
+    await user.save();
+
+    await LoginThrottle.deleteOne({ key: this.accountKey(user.email) });
+    await LockoutEvent.updateMany(
+      { scope: 'account', email: user.email, unlockedAt: null, lockedUntil: { $gt: new Date() } },
+      { unlockedAt: new Date(), unlockedVia: via }
+    );
+  }
+}
+
+export default new LoginProtectionService();
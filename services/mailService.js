@@ -0,0 +1,275 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Console driver - prints outgoing mail to stdout (default for local development)
+ */
+const consoleDriver = {
+  async send(message) {
+    console.log('📧 Outgoing email');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+    return { delivered: true };
+  }
+};
+
+/**
+ * File driver - writes each message as a JSON file into MAIL_DIR
+ */
+const fileDriver = {
+  async send(message) {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+    const filePath = path.join(dir, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+    return { delivered: true, path: filePath };
+  }
+};
+
+/**
+ * SMTP driver - delivers through nodemailer using the SMTP_* settings
+ */
+const smtpDriver = {
+  transporter: null,
+
+  async send(message) {
+    if (!this.transporter) {
+      const nodemailer = (await import('nodemailer')).default;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASSWORD
+        } : undefined
+      });
+    }
+
+    const info = await this.transporter.sendMail(message);
+    return { delivered: true, messageId: info.messageId };
+  }
+};
+
+class MailService {
+  constructor() {
+    this.drivers = {
+      console: consoleDriver,
+      file: fileDriver,
+      smtp: smtpDriver
+    };
+  }
+
+  /**
+   * Register a custom transport. A driver is any object with an async send(message) method.
+   */
+  registerDriver(name, driver) {
+    if (!driver || typeof driver.send !== 'function') {
+      throw new Error(`Mail driver "${name}" must implement send(message)`);
+    }
+    this.drivers[name] = driver;
+  }
+
+  /**
+   * Resolve the active driver from MAIL_DRIVER (defaults to console)
+   */
+  getDriver() {
+    const name = process.env.MAIL_DRIVER || 'console';
+    const driver = this.drivers[name];
+
+    if (!driver) {
+      throw new Error(`Unknown mail driver: ${name}`);
+    }
+    return driver;
+  }
+
+  /**
+   * Send a message ({ to, subject, text, html })
+   */
+  async send(message) {
+    return this.getDriver().send({
+      from: process.env.MAIL_FROM || 'Inkaranya <no-reply@inkaranya.com>',
+      ...message
+    });
+  }
+
+  /**
+   * Build a link into the frontend app
+   */
+  buildFrontendUrl(pathname, params = {}) {
+    const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:5173');
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Send the email address verification link
+   */
+  async sendVerificationEmail(email, token) {
+    const link = this.buildFrontendUrl('/verify-email', { token });
+
+    return this.send({
+      to: email,
+      subject: 'Verify your Inkaranya email address',
+      text: [
+        'Welcome to Inkaranya!',
+        '',
+        'Please confirm your email address by opening the link below:',
+        link,
+        '',
+        `This link expires in ${process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24} hours.`,
+        'If you did not create an account, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send the password reset link
+   */
+  async sendPasswordResetEmail(email, token) {
+    const link = this.buildFrontendUrl('/reset-password', { token });
+
+    return this.send({
+      to: email,
+      subject: 'Reset your Inkaranya password',
+      text: [
+        'We received a request to reset your password.',
+        '',
+        'Open the link below to choose a new password:',
+        link,
+        '',
+        `This link expires in ${process.env.PASSWORD_RESET_EXPIRE_MINUTES || 60} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send the account unlock link after a lockout
+   */
+  async sendAccountUnlockEmail(email, token) {
+    const link = this.buildFrontendUrl('/unlock-account', { token });
+
+    return this.send({
+      to: email,
+      subject: 'Your Inkaranya account has been locked',
+      text: [
+        'Your account was temporarily locked after too many failed login attempts.',
+        '',
+        'If this was you, open the link below to unlock your account right away:',
+        link,
+        '',
+        'If this was not you, someone may be trying to guess your password.',
+        'Consider resetting your password once you are back in.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Ask the user to confirm a new email address
+   */
+  async sendEmailChangeVerification(email, token) {
+    const link = this.buildFrontendUrl('/verify-email', { token });
+
+    return this.send({
+      to: email,
+      subject: 'Confirm your new Inkaranya email address',
+      text: [
+        'You asked to use this address for your Inkaranya account.',
+        '',
+        'Please confirm it by opening the link below:',
+        link,
+        '',
+        `This link expires in ${process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || 24} hours.`,
+        'Until then you keep signing in with your current address.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Warn the current address that a change to another address was requested
+   */
+  async sendEmailChangeNotice(email, newEmail) {
+    return this.send({
+      to: email,
+      subject: 'Your Inkaranya email address is being changed',
+      text: [
+        `A request was made to change the email address of your account to ${newEmail}.`,
+        '',
+        'The change takes effect once the new address is confirmed.',
+        'If this was not you, reset your password right away and contact support.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Invite a teammate to an organization
+   */
+  async sendOrganizationInvitation(email, organizationName, role, token) {
+    const link = this.buildFrontendUrl('/accept-invitation', { token });
+
+    return this.send({
+      to: email,
+      subject: `You have been invited to join ${organizationName} on Inkaranya`,
+      text: [
+        `You have been invited to join ${organizationName} as ${role}.`,
+        '',
+        'Open the link below to accept. If you do not have an account yet, you can create one from there:',
+        link,
+        '',
+        `This invitation expires in ${process.env.INVITATION_EXPIRE_DAYS || 7} days.`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Tell an organization the outcome of its verification review
+   */
+  async sendVerificationDecision(email, organizationName, approved, reason) {
+    const text = approved
+      ? [
+        `${organizationName} has been verified on Inkaranya.`,
+        '',
+        'Your opportunities now show the verified badge.'
+      ]
+      : [
+        `The verification request for ${organizationName} was not approved.`,
+        '',
+        `Reason: ${reason}`,
+        '',
+        'You can upload updated documents and submit the request again.'
+      ];
+
+    return this.send({
+      to: email,
+      subject: approved ? 'Your organization has been verified' : 'Your organization verification was not approved',
+      text: text.join('\n')
+    });
+  }
+
+  /**
+   * Tell a candidate with an open application that the opportunity closed or was filled
+   */
+  async sendOpportunityClosedNotice(email, opportunityTitle, organizationName, status) {
+    const reason = status === 'filled'
+      ? 'all of its openings have been filled'
+      : 'its application deadline has passed';
+
+    return this.send({
+      to: email,
+      subject: `${opportunityTitle} is no longer accepting applications`,
+      text: [
+        `${opportunityTitle} at ${organizationName} is no longer accepting applications because ${reason}.`,
+        '',
+        'Your application stays on file and the organization can still get back to you.',
+        'You can follow its progress in your dashboard.'
+      ].join('\n')
+    });
+  }
+}
+
+export default new MailService();
@@ -0,0 +1,140 @@
+import { deleteAsset } from '../middleware/upload.js';
+
+// Most images an organization profile or an opportunity may hold in total
+export const IMAGE_LIMITS = {
+  organization: 10,
+  opportunity: 5
+};
+
+const mediaError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// multer-storage-cloudinary stores the Cloudinary public id as `filename`
+const toAsset = (file) => ({
+  public_id: file.filename,
+  url: file.path
+});
+
+class MediaService {
+  /**
+   * Remove files that were uploaded but could not be kept
+   */
+  async discardUploads(files = []) {
+    await Promise.all(files.map(file => deleteAsset(file.filename)));
+  }
+
+  /**
+   * Append uploaded images to a document's `images`, keeping the total under the limit.
+   * Captions are matched to the files by position.
+   */
+  async addImages(doc, files, { limit, captions = [] }) {
+    if (doc.images.length + files.length > limit) {
+      await this.discardUploads(files);
+      throw mediaError(`No more than ${limit} images are allowed (${doc.images.length} already uploaded)`);
+    }
+
+    const captionList = Array.isArray(captions) ? captions : [captions];
+    const images = files.map((file, index) => ({
+      ...toAsset(file),
+      caption: captionList[index] || ''
+    }));
+
+    // Only push while there is still room, so concurrent uploads cannot pass the limit together
+    const updated = await doc.constructor.findOneAndUpdate(
+      { _id: doc._id, [`images.${limit - files.length}`]: { $exists: false } },
+      { $push: { images: { $each: images } } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      await this.discardUploads(files);
+      throw mediaError(`No more than ${limit} images are allowed`);
+    }
+
+    doc.set('images', updated.get('images'));
+    return doc.images;
+  }
+
+  /**
+   * Remove an image from the document and from storage
+   */
+  async removeImage(doc, imageId) {
+    const image = doc.images.id(imageId);
+    if (!image) {
+      throw mediaError('Image not found', 404);
+    }
+
+    image.deleteOne();
+    await doc.save();
+    await deleteAsset(image.public_id);
+
+    return image;
+  }
+
+  /**
+   * Put the images in the given order (every image id exactly once)
+   */
+  async reorderImages(doc, order) {
+    const current = doc.images.map(image => image._id.toString());
+    const isPermutation = order.length === current.length &&
+      new Set(order).size === order.length &&
+      order.every(id => current.includes(id));
+
+    if (!isPermutation) {
+      throw mediaError('Order must list every image id exactly once');
+    }
+
+    const images = order.map(id => doc.images.id(id).toObject());
+    doc.images = images;
+    await doc.save();
+
+    return doc.images;
+  }
+
+  /**
+   * Change the caption of one image
+   */
+  async updateCaption(doc, imageId, caption) {
+    const image = doc.images.id(imageId);
+    if (!image) {
+      throw mediaError('Image not found', 404);
+    }
+
+    image.caption = caption;
+    await doc.save();
+
+    return image;
+  }
+
+  /**
+   * Swap in a new logo and delete the previous one from storage
+   */
+  async replaceLogo(organization, file) {
+    const previous = organization.logo?.public_id;
+
+    organization.logo = toAsset(file);
+    await organization.save();
+    await deleteAsset(previous);
+
+    return organization.logo;
+  }
+
+  /**
+   * Remove the logo
+   */
+  async removeLogo(organization) {
+    const previous = organization.logo?.public_id;
+    if (!organization.logo?.url) {
+      throw mediaError('Organization has no logo', 404);
+    }
+
+    organization.logo = undefined;
+    await organization.save();
+    await deleteAsset(previous);
+  }
+}
+
+export default new MediaService();
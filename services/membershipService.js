@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import OrganizationMember from '../models/OrganizationMember.js';
+import mailService from './mailService.js';
+import apiKeyService from './apiKeyService.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const membershipError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class MembershipService {
+  getInvitationTtl() {
+    const days = parseInt(process.env.INVITATION_EXPIRE_DAYS || '7');
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Create the owner membership for a newly registered organization
+   */
+  async createOwner(organization, user, { session } = {}) {
+    const owner = new OrganizationMember({
+      organization: organization._id,
+      user: user._id,
+      email: user.email,
+      role: 'owner',
+      status: 'active',
+      joinedAt: new Date()
+    });
+    return owner.save({ session });
+  }
+
+  /**
+   * Invite a teammate by email (re-inviting refreshes the token and role)
+   */
+  async invite(organization, { email, role }, invitedBy) {
+    const normalizedEmail = email.toLowerCase();
+
+    let member = await OrganizationMember.findOne({ organization: organization._id, email: normalizedEmail });
+    if (member?.status === 'active') {
+      throw membershipError('This person is already a member of your organization', 409);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    if (!member) {
+      member = new OrganizationMember({ organization: organization._id, email: normalizedEmail });
+    }
+    member.role = role;
+    member.invitedBy = invitedBy._id;
+    member.invitationToken = hashToken(token);
+    member.invitationExpires = new Date(Date.now() + this.getInvitationTtl());
+    await member.save();
+
+    await mailService.sendOrganizationInvitation(normalizedEmail, organization.name, role, token);
+
+    return member;
+  }
+
+  /**
+   * Find a pending, unexpired invitation by its token
+   */
+  async findInvitation(token) {
+    return OrganizationMember.findOne({
+      invitationToken: hashToken(token),
+      invitationExpires: { $gt: new Date() },
+      status: 'invited'
+    }).populate('organization', 'name logo');
+  }
+
+  /**
+   * Accept an invitation for a user whose email matches it
+   */
+  async acceptInvitation(invitation, user, { session } = {}) {
+    if (invitation.email !== user.email) {
+      throw membershipError('This invitation was sent to a different email address', 403);
+    }
+
+    if (user.role !== 'organization') {
+      throw membershipError('Only organization accounts can join an organization team', 403);
+    }
+
+    invitation.user = user._id;
+    invitation.status = 'active';
+    invitation.joinedAt = new Date();
+    invitation.invitationToken = undefined;
+    invitation.invitationExpires = undefined;
+    await invitation.save({ session });
+
+    return invitation;
+  }
+
+  /**
+   * Apply a change that may take an active owner away (a demotion or a removal) only if
+   * another active owner remains. The transaction first writes to every active owner of the
+   * organization, so two such changes at once conflict and the retried one sees the other.
+   */
+  async keepingAnOwner(member, change) {
+    if (member.role !== 'owner' || member.status !== 'active') {
+      return change();
+    }
+
+    return mongoose.connection.transaction(async (session) => {
+      const { matchedCount } = await OrganizationMember.updateMany(
+        { organization: member.organization, role: 'owner', status: 'active' },
+        { $set: { updatedAt: new Date() } },
+        { session }
+      );
+
+      if (matchedCount <= 1) {
+        throw membershipError('An organization must keep at least one owner');
+      }
+
+      await change(session);
+    });
+  }
+
+  /**
+   * Change a member's role
+   */
+  async changeRole(member, role) {
+    const save = (session) => {
+      member.role = role;
+      return member.save({ session });
+    };
+
+    await (role === 'owner' ? save() : this.keepingAnOwner(member, save));
+    return member;
+  }
+
+  /**
+   * Remove a member or cancel an invitation. API keys the member created stop working.
+   */
+  async remove(member) {
+    await this.keepingAnOwner(member, session => member.deleteOne({ session }));
+    await apiKeyService.revokeForMember(member);
+  }
+}
+
+export default new MembershipService();
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const oidcError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class OidcService {
+  constructor() {
+    this.discoveryCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  /**
+   * Configured providers from OIDC_PROVIDERS (a JSON array).
+   * Each entry needs id, issuer, clientId and clientSecret; name, scopes, redirectUri,
+   * idTokenAlgorithm (default RS256) and explicit endpoints (authorizationEndpoint,
+   * tokenEndpoint, jwksUri) are optional, which lets a local mock IdP stand in without
+   * a discovery document.
+   */
+  getProviders() {
+    if (!process.env.OIDC_PROVIDERS) return [];
+
+    try {
+      return JSON.parse(process.env.OIDC_PROVIDERS);
+    } catch (error) {
+      console.error('Invalid OIDC_PROVIDERS configuration:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Find a provider by id
+   */
+  getProvider(id) {
+    return this.getProviders().find(provider => provider.id === id) || null;
+  }
+
+  /**
+   * Public description of the providers for the login screen
+   */
+  listProviders() {
+    return this.getProviders().map(provider => ({
+      id: provider.id,
+      name: provider.name || provider.id
+    }));
+  }
+
+  getRedirectUri(provider) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return provider.redirectUri || `${frontendUrl}/auth/oidc/${provider.id}/callback`;
+  }
+
+  /**
+   * Resolve the provider endpoints, using discovery unless they are configured explicitly
+   */
+  async getMetadata(provider) {
+    if (provider.authorizationEndpoint && provider.tokenEndpoint) {
+      return {
+        issuer: provider.issuer,
+        authorization_endpoint: provider.authorizationEndpoint,
+        token_endpoint: provider.tokenEndpoint,
+        jwks_uri: provider.jwksUri
+      };
+    }
+
+    if (this.discoveryCache.has(provider.issuer)) {
+      return this.discoveryCache.get(provider.issuer);
+    }
+
+    const response = await fetch(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    if (!response.ok) {
+      throw oidcError(`OIDC discovery failed for ${provider.id}`, 502);
+    }
+
+    const metadata = await response.json();
+    this.discoveryCache.set(provider.issuer, metadata);
+    return metadata;
+  }
+
+  /**
+   * Build the authorization URL plus a signed flow token that the client keeps
+   * (it carries the state, nonce and PKCE verifier back to the callback)
+   */
+  async createAuthorizationRequest(provider, { role }) {
+    const metadata = await this.getMetadata(provider);
+
+    const state = base64url(crypto.randomBytes(16));
+    const nonce = base64url(crypto.randomBytes(16));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', this.getRedirectUri(provider));
+    url.searchParams.set('scope', provider.scopes || 'openid email profile');
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    const flowToken = jwt.sign(
+      { purpose: 'oidc', provider: provider.id, state, nonce, codeVerifier, role },
+      process.env.JWT_SECRET,
+      { expiresIn: '10m' }
+    );
+
+    return { authorizationUrl: url.toString(), flowToken };
+  }
+
+  /**
+   * Validate the callback against its flow token, exchange the code and verify the ID token.
+   * Returns the flow (role) and the verified claims.
+   */
+  async handleCallback(provider, { code, state, flowToken }) {
+    let flow;
+    try {
+      flow = jwt.verify(flowToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw oidcError('Sign-in request is invalid or has expired. Please try again.');
+    }
+
+    if (flow.purpose !== 'oidc' || flow.provider !== provider.id || flow.state !== state) {
+      throw oidcError('Sign-in state mismatch. Please try again.');
+    }
+
+    const metadata = await this.getMetadata(provider);
+
+    const response = await fetch(metadata.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.getRedirectUri(provider),
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret,
+        code_verifier: flow.codeVerifier
+      })
+    });
+
+    const tokens = await response.json().catch(() => ({}));
+    if (!response.ok || !tokens.id_token) {
+      throw oidcError(tokens.error_description || 'Failed to exchange authorization code', 401);
+    }
+
+    const claims = await this.verifyIdToken(provider, metadata, tokens.id_token);
+    if (claims.nonce !== flow.nonce) {
+      throw oidcError('ID token nonce mismatch', 401);
+    }
+
+    return { flow, claims };
+  }
+
+  /**
+   * Verify the ID token signature, issuer, audience and expiry.
+   * The signing algorithm comes from the provider configuration (`idTokenAlgorithm`,
+   * RS256 by default), never from the token, so a token cannot pick its own key.
+   */
+  async verifyIdToken(provider, metadata, idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw oidcError('Malformed ID token', 401);
+    }
+
+    const algorithm = provider.idTokenAlgorithm || 'RS256';
+    if (decoded.header.alg !== algorithm) {
+      throw oidcError(`Invalid ID token: expected a ${algorithm} signature`, 401);
+    }
+
+    // Symmetric algorithms use the client secret (common for mock IdPs), the others the JWKS
+    const key = algorithm.startsWith('HS')
+      ? provider.clientSecret
+      : await this.getSigningKey(metadata, decoded.header.kid);
+
+    try {
+      return jwt.verify(idToken, key, {
+        algorithms: [algorithm],
+        issuer: provider.issuer,
+        audience: provider.clientId
+      });
+    } catch (error) {
+      throw oidcError(`Invalid ID token: ${error.message}`, 401);
+    }
+  }
+
+  /**
+   * Find the provider's public key for a key id (JWKS is cached and refetched on unknown kids)
+   */
+  async getSigningKey(metadata, kid) {
+    if (!metadata.jwks_uri) {
+      throw oidcError('Provider has no JWKS endpoint configured', 502);
+    }
+
+    let keys = this.jwksCache.get(metadata.jwks_uri);
+    let jwk = keys?.find(key => !kid || key.kid === kid);
+
+    if (!jwk) {
+      const response = await fetch(metadata.jwks_uri);
+      if (!response.ok) {
+        throw oidcError('Failed to fetch provider signing keys', 502);
+      }
+
+      keys = (await response.json()).keys || [];
+      this.jwksCache.set(metadata.jwks_uri, keys);
+      jwk = keys.find(key => !kid || key.kid === kid);
+    }
+
+    if (!jwk) {
+      throw oidcError('ID token signing key not found', 401);
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+}
+
+export default new OidcService();
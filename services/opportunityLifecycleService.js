@@ -0,0 +1,157 @@
+import Opportunity from '../models/Opportunity.js';
+import Organization from '../models/Organization.js';
+import Application from '../models/Application.js';
+import mailService from './mailService.js';
+import { PENDING_STATUSES } from './applicationStatusService.js';
+
+// Opportunities the scheduler may still close or fill
+const OPEN_STATUSES = ['active', 'paused'];
+
+class OpportunityLifecycleService {
+  /**
+   * Publish drafts whose scheduled publish time has come.
+   * Drafts without a start date stay drafts until one is set.
+   */
+  async publishDue(now = new Date()) {
+    const dueFilter = {
+      status: 'draft',
+      isActive: true,
+      publishAt: { $lte: now },
+      'schedule.startDate': { $ne: null }
+    };
+    const due = await Opportunity.find(dueFilter).select('_id');
+
+    let published = 0;
+    for (const { _id } of due) {
+      // Claim the draft so only one scheduler instance publishes it
+      const claimed = await Opportunity.findOneAndUpdate(
+        { ...dueFilter, _id },
+        { $set: { status: 'active', activatedAt: now }, $unset: { publishAt: 1 } }
+      );
+      if (claimed) published++;
+    }
+
+    return published;
+  }
+
+  /**
+   * Close open opportunities whose application deadline has passed
+   */
+  async closeExpired(now = new Date()) {
+    const expired = await Opportunity.find({
+      status: { $in: OPEN_STATUSES },
+      isActive: true,
+      'application.deadline': { $lte: now }
+    }).select('_id');
+
+    let closed = 0;
+    for (const { _id } of expired) {
+      if (await this.finish(_id, 'closed', now)) closed++;
+    }
+
+    return closed;
+  }
+
+  /**
+   * Mark open opportunities as filled once their openings have all been accepted
+   */
+  async fillCompleted(now = new Date()) {
+    const opportunities = await Opportunity.find({
+      status: { $in: OPEN_STATUSES },
+      isActive: true,
+      openings: { $gte: 1 }
+    }).select('_id openings');
+
+    if (opportunities.length === 0) {
+      return 0;
+    }
+
+    const accepted = await Application.aggregate([
+      {
+        $match: {
+          opportunity: { $in: opportunities.map(opportunity => opportunity._id) },
+          status: 'accepted',
+          isActive: true
+        }
+      },
+      { $group: { _id: '$opportunity', count: { $sum: 1 } } }
+    ]);
+    const acceptedCounts = new Map(accepted.map(row => [row._id.toString(), row.count]));
+
+    let filled = 0;
+    for (const opportunity of opportunities) {
+      if ((acceptedCounts.get(opportunity._id.toString()) || 0) < opportunity.openings) continue;
+      if (await this.finish(opportunity._id, 'filled', now)) filled++;
+    }
+
+    return filled;
+  }
+
+  /**
+   * Close or fill an opportunity and let candidates still waiting for a decision know.
+   * The change is claimed atomically, so concurrent runs act on it once. Candidates are
+   * not told again when an organization reopens an opportunity that was already closed
+   * for the same deadline, or filled before.
+   */
+  async finish(opportunityId, status, now) {
+    const field = status === 'filled' ? 'filledAt' : 'closedAt';
+    const previous = await Opportunity.findOneAndUpdate(
+      { _id: opportunityId, status: { $in: OPEN_STATUSES }, isActive: true },
+      { $set: { status, [field]: now } }
+    );
+    if (!previous) return false;
+
+    const deadline = previous.application?.deadline;
+    const alreadyNotified = status === 'filled'
+      ? Boolean(previous.filledAt)
+      : Boolean(previous.closedAt && deadline && previous.closedAt >= deadline);
+
+    if (!alreadyNotified) {
+      await this.notifyPendingApplicants(previous, status);
+    }
+    return true;
+  }
+
+  /**
+   * Email every candidate whose application to the opportunity is still pending
+   * that it was closed or filled
+   */
+  async notifyPendingApplicants(opportunity, status) {
+    const [applications, organization] = await Promise.all([
+      Application.find({
+        opportunity: opportunity._id,
+        status: { $in: PENDING_STATUSES },
+        isActive: true
+      }).select('personalInfo.email'),
+      Organization.findById(opportunity.organization).select('name')
+    ]);
+
+    for (const application of applications) {
+      try {
+        await mailService.sendOpportunityClosedNotice(
+          application.personalInfo.email,
+          opportunity.title,
+          organization?.name || 'the organization',
+          status
+        );
+      } catch (error) {
+        console.error(`Opportunity notice error for application ${application._id}:`, error);
+      }
+    }
+
+    return applications.length;
+  }
+
+  /**
+   * One scheduler pass. Filling runs before closing so a full opportunity is reported as filled.
+   */
+  async run(now = new Date()) {
+    const published = await this.publishDue(now);
+    const filled = await this.fillCompleted(now);
+    const closed = await this.closeExpired(now);
+
+    return { published, filled, closed };
+  }
+}
+
+export default new OpportunityLifecycleService();
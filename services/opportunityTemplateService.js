@@ -0,0 +1,114 @@
+import OpportunityTemplate from '../models/OpportunityTemplate.js';
+
+// Opportunity fields carried over to copies and templates. Images stay with the original
+// because deleting an image removes the file from storage.
+export const COPIED_FIELDS = [
+  'title', 'description', 'type', 'category', 'requirements', 'location',
+  'compensation', 'schedule', 'application', 'visibility', 'tags', 'openings', 'statusTransitions'
+];
+
+const templateError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Copy of a value without subdocument ids, so copies get their own
+const withoutIds = (value) => {
+  if (Array.isArray(value)) return value.map(withoutIds);
+  if (!isPlainObject(value)) return value;
+
+  return Object.entries(value).reduce((copy, [key, item]) => {
+    if (key !== '_id') copy[key] = withoutIds(item);
+    return copy;
+  }, {});
+};
+
+class OpportunityTemplateService {
+  /**
+   * Reusable content of an opportunity. Dates belong to one posting, so they are left out.
+   */
+  copyContent(opportunity) {
+    const source = opportunity.toObject({ depopulate: true });
+    const content = COPIED_FIELDS.reduce((copy, field) => {
+      if (source[field] !== undefined) copy[field] = withoutIds(source[field]);
+      return copy;
+    }, {});
+
+    if (content.schedule) {
+      delete content.schedule.startDate;
+      delete content.schedule.endDate;
+    }
+    if (content.application) {
+      delete content.application.deadline;
+    }
+
+    // Transitions use the same { status: [next statuses] } shape as the transitions endpoint
+    if (content.statusTransitions) {
+      content.statusTransitions = Object.fromEntries(content.statusTransitions.map(({ from, to }) => [from, to]));
+    }
+
+    return content;
+  }
+
+  /**
+   * Apply overrides to copied content. Top-level objects are merged field by field,
+   * so `{ schedule: { startDate } }` keeps the copied duration.
+   */
+  merge(content, overrides = {}) {
+    const merged = { ...content };
+
+    Object.entries(overrides).forEach(([field, value]) => {
+      merged[field] = isPlainObject(value) && isPlainObject(merged[field])
+        ? { ...merged[field], ...value }
+        : value;
+    });
+
+    return merged;
+  }
+
+  /**
+   * Save an opportunity to its organization's template library
+   */
+  async create(opportunity, { name, user }) {
+    try {
+      return await OpportunityTemplate.create({
+        organization: opportunity.organization,
+        name,
+        content: this.copyContent(opportunity),
+        sourceOpportunity: opportunity._id,
+        createdBy: user?._id
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw templateError('A template with this name already exists', 409);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Templates of an organization, most used first
+   */
+  async list(organizationId) {
+    return OpportunityTemplate.find({ organization: organizationId })
+      .populate('createdBy', 'email')
+      .sort({ usageCount: -1, name: 1 });
+  }
+
+  /**
+   * Count an opportunity created from the template
+   */
+  async recordUse(templateId) {
+    await OpportunityTemplate.updateOne(
+      { _id: templateId },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } },
+      { timestamps: false }
+    );
+  }
+}
+
+export default new OpportunityTemplateService();
@@ -0,0 +1,125 @@
+// Authorization policies. This module only looks at the plain data it is given
+// (no database access), so every rule can be unit tested on its own.
+
+// What each team role may do within its organization
+export const ORGANIZATION_PERMISSIONS = {
+  owner: [
+    'organization:read', 'organization:write', 'members:manage', 'api-keys:manage', 'audit:read',
+    'opportunities:read', 'opportunities:write',
+    'applications:read', 'applications:write'
+  ],
+  recruiter: [
+    'organization:read',
+    'opportunities:read', 'opportunities:write',
+    'applications:read', 'applications:write'
+  ],
+  'hiring-manager': [
+    'organization:read',
+    'opportunities:read',
+    'applications:read', 'applications:write'
+  ],
+  viewer: [
+    'organization:read',
+    'opportunities:read',
+    'applications:read'
+  ]
+};
+
+const idOf = (value) => value?._id ?? value;
+
+const sameId = (a, b) => a != null && b != null && idOf(a).toString() === idOf(b).toString();
+
+const isEmployee = (actor) => actor.role === 'employee';
+
+const isAdmin = (actor) => actor.role === 'admin';
+
+// The actor works for this organization
+const actsFor = (actor, organization) => sameId(actor.organizationId, organization);
+
+// The actor holds a permission in their current organization (team role or API key scopes)
+const hasPermission = (actor, permission) => {
+  if (actor.role !== 'organization' || !actor.organizationId) return false;
+  return (actor.scopes || ORGANIZATION_PERMISSIONS[actor.teamRole] || []).includes(permission);
+};
+
+// Organization permission that applies to the actor's own organization or to one of its records
+const organizationPermission = (permission) => (actor, resource) =>
+  hasPermission(actor, permission) && (!resource || actsFor(actor, resource.organization));
+
+// Who may do what. Each rule receives the actor and, for record-level checks, the record.
+const POLICIES = {
+  // Organization profile and team
+  'organization:read': organizationPermission('organization:read'),
+  'organization:write': organizationPermission('organization:write'),
+  'members:manage': organizationPermission('members:manage'),
+  'api-keys:manage': organizationPermission('api-keys:manage'),
+  'audit:read': organizationPermission('audit:read'),
+
+  // Opportunities
+  'opportunities:read': organizationPermission('opportunities:read'),
+  'opportunities:write': organizationPermission('opportunities:write'),
+
+  // Applications: candidates see their own, organizations see what was sent to them
+  'applications:create': (actor) => isEmployee(actor),
+  'applications:read': (actor, application) => {
+    if (isAdmin(actor)) return true;
+    if (isEmployee(actor)) return !application || sameId(application.employee, actor.employeeId);
+    return organizationPermission('applications:read')(actor, application);
+  },
+  'applications:write': organizationPermission('applications:write'),
+  'applications:withdraw': (actor, application) =>
+    isEmployee(actor) && sameId(application?.employee, actor.employeeId),
+
+  // Reviews: participants review their own accepted engagements, organizations respond
+  'reviews:create': (actor, application) =>
+    isEmployee(actor) && sameId(application?.employee, actor.employeeId),
+  'reviews:write': (actor, review) =>
+    isEmployee(actor) && sameId(review?.employee, actor.employeeId),
+  'reviews:respond': organizationPermission('organization:write'),
+
+  // Matching and recommendations
+  'recommendations:read': (actor) => isEmployee(actor),
+  'skills:write': (actor) => isEmployee(actor),
+  'analytics:read': (actor) => isEmployee(actor) || hasPermission(actor, 'organization:read'),
+  'match-score:read': (actor, { employee, organization } = {}) => {
+    if (isAdmin(actor)) return true;
+    if (isEmployee(actor)) return sameId(employee, actor.employeeId);
+    return hasPermission(actor, 'applications:read') && actsFor(actor, organization);
+  }
+};
+
+class PolicyService {
+  /**
+   * Describe the current user for the policies
+   */
+  buildActor({ user, membership, apiKey, employee }) {
+    return {
+      id: idOf(user),
+      role: user.role,
+      employeeId: idOf(employee) || null,
+      organizationId: idOf(membership?.organization) || null,
+      teamRole: membership?.role || null,
+      scopes: apiKey ? apiKey.scopes : null
+    };
+  }
+
+  /**
+   * Whether the actor may perform an action, optionally on a specific record.
+   * Unknown actions are always denied.
+   */
+  can(actor, action, resource) {
+    const policy = POLICIES[action];
+    if (!actor || !policy) return false;
+    return Boolean(policy(actor, resource));
+  }
+
+  /**
+   * Permissions the actor holds in their current organization
+   */
+  permissionsFor(actor) {
+    if (actor.role !== 'organization') return [];
+    return actor.scopes || ORGANIZATION_PERMISSIONS[actor.teamRole] || [];
+  }
+}
+
+export default new PolicyService();
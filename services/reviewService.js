@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import Review, { REVIEW_DIMENSIONS } from '../models/Review.js';
+import Organization from '../models/Organization.js';
+import OrganizationMember from '../models/OrganizationMember.js';
+
+const reviewError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Keep only the known rating dimensions
+const pickRatings = (ratings = {}) => REVIEW_DIMENSIONS.reduce((picked, dimension) => {
+  if (ratings[dimension] !== undefined) picked[dimension] = ratings[dimension];
+  return picked;
+}, {});
+
+class ReviewService {
+  /**
+   * Number of open reports after which a review is hidden until an admin decides
+   */
+  getHideThreshold() {
+    return parseInt(process.env.REVIEW_HIDE_REPORT_THRESHOLD) || 3;
+  }
+
+  /**
+   * Review an engagement. Only accepted applications can be reviewed, once.
+   */
+  async create(application, { ratings, title, text }) {
+    if (application.status !== 'accepted') {
+      throw reviewError('Only accepted applications can be reviewed');
+    }
+
+    if (await Review.exists({ application: application._id })) {
+      throw reviewError('You have already reviewed this engagement', 409);
+    }
+
+    let review;
+    try {
+      review = await Review.create({
+        organization: application.organization,
+        employee: application.employee,
+        opportunity: application.opportunity,
+        application: application._id,
+        ratings: pickRatings(ratings),
+        title,
+        text
+      });
+    } catch (error) {
+      // A second request for the same engagement won the race
+      if (error.code === 11000) {
+        throw reviewError('You have already reviewed this engagement', 409);
+      }
+      throw error;
+    }
+
+    await this.recalculateRating(review.organization);
+    return review;
+  }
+
+  /**
+   * Edit a review; ratings are merged so single dimensions can be changed
+   */
+  async update(review, { ratings, title, text }) {
+    if (ratings) Object.assign(review.ratings, pickRatings(ratings));
+    if (title !== undefined) review.title = title;
+    if (text !== undefined) review.text = text;
+    await review.save();
+
+    await this.recalculateRating(review.organization);
+    return review;
+  }
+
+  /**
+   * Delete a review and update the organization's rating
+   */
+  async remove(review) {
+    await review.deleteOne();
+    await this.recalculateRating(review.organization);
+  }
+
+  /**
+   * Set or replace the organization's public response
+   */
+  async respond(review, user, text) {
+    review.response = { text, respondedBy: user._id, respondedAt: new Date() };
+    await review.save();
+    return review;
+  }
+
+  /**
+   * Whether the user belongs to the organization (team member or its original account)
+   */
+  async isOrganizationMember(organizationId, user) {
+    const [membership, owned] = await Promise.all([
+      OrganizationMember.exists({ organization: organizationId, user: user._id, status: 'active' }),
+      Organization.exists({ _id: organizationId, user: user._id })
+    ]);
+    return Boolean(membership || owned);
+  }
+
+  /**
+   * Report a review for moderation. Members of the reviewed organization cannot report it.
+   * Enough open reports from employees hide it until an admin decides; other reports
+   * only put it in the moderation queue.
+   */
+  async report(review, user, { reason, details }) {
+    if (await this.isOrganizationMember(review.organization, user)) {
+      throw reviewError('You cannot report reviews of your own organization', 403);
+    }
+
+    if (review.reports.some(report => report.user.equals(user._id))) {
+      throw reviewError('You have already reported this review', 409);
+    }
+
+    review.reports.push({ user: user._id, reason, details, counted: user.role === 'employee' });
+    review.moderation.status = 'open';
+
+    const decidedAt = review.moderation.decidedAt;
+    const openReports = review.reports
+      .filter(report => report.counted && (!decidedAt || report.reportedAt > decidedAt)).length;
+    const hide = review.status === 'published' && openReports >= this.getHideThreshold();
+    if (hide) review.status = 'hidden';
+
+    await review.save();
+
+    if (hide) await this.recalculateRating(review.organization);
+    return review;
+  }
+
+  /**
+   * Admin decision on a reported review: keep it published or remove it from view
+   */
+  async moderate(review, admin, { action, note }) {
+    review.status = action === 'keep' ? 'published' : 'hidden';
+    review.moderation = {
+      status: 'resolved',
+      decidedBy: admin._id,
+      decidedAt: new Date(),
+      note
+    };
+    await review.save();
+
+    await this.recalculateRating(review.organization);
+    return review;
+  }
+
+  /**
+   * Recompute Organization.rating from its published reviews
+   */
+  async recalculateRating(organizationId) {
+    const [result] = await Review.aggregate([
+      { $match: { organization: new mongoose.Types.ObjectId(organizationId.toString()), status: 'published' } },
+      { $group: { _id: null, average: { $avg: '$ratings.overall' }, count: { $sum: 1 } } }
+    ]);
+
+    const rating = {
+      average: result ? Math.round(result.average * 10) / 10 : 0,
+      count: result ? result.count : 0
+    };
+
+    await Organization.updateOne({ _id: organizationId }, { rating });
+    return rating;
+  }
+
+  /**
+   * Published reviews of an organization with the average of every dimension
+   */
+  async listForOrganization(organizationId, { page = 1, limit = 10 } = {}) {
+    const filter = { organization: organizationId, status: 'published' };
+    const skip = (page - 1) * limit;
+
+    const averages = REVIEW_DIMENSIONS.reduce((group, dimension) => {
+      group[dimension] = { $avg: `$ratings.${dimension}` };
+      return group;
+    }, { _id: null, count: { $sum: 1 } });
+
+    const [reviews, total, [summary]] = await Promise.all([
+      Review.find(filter)
+        .select('-reports -moderation')
+        .populate('employee', 'personalInfo.firstName personalInfo.profilePicture')
+        .populate('opportunity', 'title type')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: { organization: new mongoose.Types.ObjectId(organizationId.toString()), status: 'published' } },
+        { $group: averages }
+      ])
+    ]);
+
+    const ratings = REVIEW_DIMENSIONS.reduce((values, dimension) => {
+      const average = summary?.[dimension];
+      values[dimension] = average == null ? null : Math.round(average * 10) / 10;
+      return values;
+    }, {});
+
+    return {
+      reviews,
+      summary: { count: summary?.count || 0, ratings },
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+
+  /**
+   * Reviews with reports waiting for a decision, oldest first
+   */
+  async listReported({ page = 1, limit = 20 } = {}) {
+    const filter = { 'moderation.status': 'open' };
+    const skip = (page - 1) * limit;
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('organization', 'name')
+        .populate('reports.user', 'email role')
+        .sort({ updatedAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Review.countDocuments(filter)
+    ]);
+
+    return {
+      reviews,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+}
+
+export default new ReviewService();
@@ -0,0 +1,73 @@
+import accountDeletionService from './accountDeletionService.js';
+import opportunityLifecycleService from './opportunityLifecycleService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Background jobs: how often each runs and what to log when it did something
+const JOBS = [
+  {
+    name: 'account-purge',
+    interval: () => 60 * MINUTE_MS,
+    // Purge accounts whose deletion grace period has ended
+    run: async () => {
+      const count = await accountDeletionService.purgeDueAccounts();
+      if (count) console.log(`🗑️  Purged ${count} deleted account(s)`);
+    }
+  },
+  {
+    name: 'opportunity-lifecycle',
+    interval: () => (parseInt(process.env.OPPORTUNITY_LIFECYCLE_INTERVAL_MINUTES) || 5) * MINUTE_MS,
+    // Publish scheduled drafts, fill and close opportunities
+    run: async () => {
+      const { published, filled, closed } = await opportunityLifecycleService.run();
+      if (published || filled || closed) {
+        console.log(`📅 Opportunities: ${published} published, ${filled} filled, ${closed} closed`);
+      }
+    }
+  }
+];
+
+class Scheduler {
+  constructor() {
+    this.timers = [];
+    this.running = new Set();
+  }
+
+  /**
+   * Run a job unless its previous run is still going
+   */
+  async runJob(job) {
+    if (this.running.has(job.name)) return;
+
+    this.running.add(job.name);
+    try {
+      await job.run();
+    } catch (error) {
+      console.error(`❌ Scheduled job ${job.name} failed:`, error);
+    } finally {
+      this.running.delete(job.name);
+    }
+  }
+
+  /**
+   * Run every job now and then on its interval (call once the database is connected)
+   */
+  start() {
+    if (this.timers.length) return;
+
+    JOBS.forEach(job => {
+      this.runJob(job);
+      this.timers.push(setInterval(() => this.runJob(job), job.interval()));
+    });
+  }
+
+  /**
+   * Stop all timers
+   */
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+}
+
+export default new Scheduler();
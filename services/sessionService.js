@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import { generateToken, generateImpersonationToken } from '../middleware/auth.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without the secret
+const createRefreshSecret = () => crypto.randomBytes(48).toString('hex');
+
+const unauthorized = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+class SessionService {
+  /**
+   * Refresh token lifetime in milliseconds
+   */
+  getRefreshTokenTtl() {
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30');
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Start a new session for a user and issue its first token pair
+   */
+  async createSession(user, req) {
+    const secret = createRefreshSecret();
+
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: hashToken(secret),
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + this.getRefreshTokenTtl())
+    });
+    await session.save();
+
+    return {
+      session,
+      token: generateToken(user._id, session._id),
+      refreshToken: `${session._id}.${secret}`
+    };
+  }
+
+  /**
+   * Impersonation lifetime in milliseconds
+   */
+  getImpersonationTtl() {
+    const minutes = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 15;
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * Start a short-lived session in which an admin acts as another user.
+   * It cannot be refreshed and only lives as long as its access token.
+   */
+  async createImpersonationSession(admin, user, req, { reason, allowWrites = false }) {
+    const ttl = this.getImpersonationTtl();
+
+    const session = new Session({
+      user: user._id,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + ttl),
+      impersonation: {
+        admin: admin._id,
+        reason,
+        allowWrites
+      }
+    });
+    await session.save();
+
+    return {
+      session,
+      token: generateImpersonationToken(user._id, session._id, admin._id, ttl / 1000)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * Presenting an already-rotated token revokes the whole session.
+   */
+  async rotate(refreshToken, req) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+
+    if (!sessionId || !secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+      throw unauthorized('Invalid refresh token');
+    }
+
+    const newSecret = createRefreshSecret();
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        refreshTokenHash: hashToken(secret),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        refreshTokenHash: hashToken(newSecret),
+        lastUsedAt: new Date(),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const existing = await Session.findById(sessionId);
+
+      // The session is alive but the token is stale: someone replayed an old refresh token
+      if (existing && existing.isValid()) {
+        await this.revoke(existing, 'refresh-token-reuse');
+        throw unauthorized('Refresh token reuse detected. Please log in again.');
+      }
+
+      throw unauthorized('Session has expired or been revoked. Please log in again.');
+    }
+
+    return {
+      session,
+      token: generateToken(session.user, session._id),
+      refreshToken: `${session._id}.${newSecret}`
+    };
+  }
+
+  /**
+   * Revoke a single session
+   */
+  async revoke(session, reason = 'revoked') {
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   */
+  async revokeAllForUser(userId, { except, reason = 'revoked' } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: reason
+    });
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * List the active sessions of a user, most recently used first
+   */
+  async listActive(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+}
+
+export default new SessionService();
@@ -0,0 +1,146 @@
+import Organization from '../models/Organization.js';
+import { deleteAsset } from '../middleware/upload.js';
+import mailService from './mailService.js';
+
+const MAX_DOCUMENTS = 10;
+
+const verificationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class VerificationService {
+  /**
+   * Documents can only change before the organization is submitted or after a rejection
+   */
+  assertEditable(organization) {
+    const { status } = organization.verification;
+    if (status === 'pending') {
+      throw verificationError('Verification is under review and cannot be changed', 409);
+    }
+    if (status === 'verified') {
+      throw verificationError('Organization is already verified', 409);
+    }
+  }
+
+  /**
+   * Attach uploaded files to the verification request.
+   * Files that cannot be attached are removed from storage again.
+   */
+  async addDocuments(organization, files, type) {
+    try {
+      this.assertEditable(organization);
+      if (organization.verification.documents.length + files.length > MAX_DOCUMENTS) {
+        throw verificationError(`No more than ${MAX_DOCUMENTS} verification documents can be uploaded`);
+      }
+    } catch (error) {
+      await Promise.all(files.map(file => deleteAsset(file.filename)));
+      throw error;
+    }
+
+    organization.verification.documents.push(...files.map(file => ({
+      type,
+      name: file.originalname,
+      public_id: file.filename,
+      url: file.path
+    })));
+    await organization.save();
+
+    return organization.verification.documents;
+  }
+
+  /**
+   * Remove a document that has not been submitted yet
+   */
+  async removeDocument(organization, documentId) {
+    this.assertEditable(organization);
+
+    const document = organization.verification.documents.id(documentId);
+    if (!document) {
+      throw verificationError('Document not found', 404);
+    }
+
+    document.deleteOne();
+    await organization.save();
+    await deleteAsset(document.public_id);
+
+    return organization.verification.documents;
+  }
+
+  /**
+   * Send the uploaded documents to the admin review queue
+   */
+  async submit(organization) {
+    this.assertEditable(organization);
+
+    if (organization.verification.documents.length === 0) {
+      throw verificationError('Upload at least one verification document before submitting');
+    }
+
+    organization.verification.status = 'pending';
+    organization.verification.submittedAt = new Date();
+    organization.verification.rejectionReason = undefined;
+    await organization.save();
+
+    return organization.verification;
+  }
+
+  /**
+   * Organizations waiting for review, oldest submission first
+   */
+  async listPending({ page = 1, limit = 20 } = {}) {
+    const filter = { 'verification.status': 'pending' };
+    const skip = (page - 1) * limit;
+
+    const [organizations, total] = await Promise.all([
+      Organization.find(filter)
+        .select('name industry size website location contact verification createdAt')
+        .sort({ 'verification.submittedAt': 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Organization.countDocuments(filter)
+    ]);
+
+    return {
+      organizations,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+
+  /**
+   * Approve or reject a pending request and let the organization know
+   */
+  async review(organization, reviewer, { approve, reason }) {
+    if (organization.verification.status !== 'pending') {
+      throw verificationError('Organization has no pending verification request', 409);
+    }
+
+    const now = new Date();
+    Object.assign(organization.verification, {
+      status: approve ? 'verified' : 'rejected',
+      isVerified: approve,
+      verifiedAt: approve ? now : undefined,
+      reviewedAt: now,
+      reviewedBy: reviewer._id,
+      rejectionReason: approve ? undefined : reason
+    });
+    await organization.save();
+
+    if (organization.contact?.email) {
+      try {
+        await mailService.sendVerificationDecision(organization.contact.email, organization.name, approve, reason);
+      } catch (error) {
+        console.error('Verification decision email error:', error);
+      }
+    }
+
+    return organization.verification;
+  }
+}
+
+export default new VerificationService();
@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import Application from '../models/Application.js';
+import Opportunity from '../models/Opportunity.js';
+import applicationStatusService, { DEFAULT_TRANSITIONS } from '../services/applicationStatusService.js';
+import policyService from '../services/policyService.js';
+
+const ORG_A = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const ORG_B = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+const OPPORTUNITY = 'cccccccccccccccccccccccc';
+const EMPLOYEE = 'eeeeeeeeeeeeeeeeeeeeeeee';
+const USER = 'dddddddddddddddddddddddd';
+
+const member = (teamRole, organization = ORG_A) => policyService.buildActor({
+  user: { _id: USER, role: 'organization' },
+  membership: { organization: { _id: organization }, role: teamRole }
+});
+
+const employee = policyService.buildActor({
+  user: { _id: 'user-2', role: 'employee' },
+  employee: { _id: EMPLOYEE }
+});
+
+const applicationIn = (status, fields = {}) => new Application({
+  opportunity: OPPORTUNITY,
+  employee: EMPLOYEE,
+  organization: ORG_A,
+  status,
+  submittedAt: new Date('2026-01-01'),
+  ...fields
+});
+
+// The opportunity's own transition overrides, as loaded by getAllowedTransitions
+const mockOpportunity = (statusTransitions = []) => {
+  jest.spyOn(Opportunity, 'findById').mockReturnValue({
+    select: jest.fn().mockResolvedValue({ statusTransitions })
+  });
+};
+
+// The conditional write: matches only while the stored status equals the filter
+const mockStoredStatus = (storedStatus) => jest.spyOn(Application, 'findOneAndUpdate')
+  .mockImplementation(async (filter, update) => {
+    if (filter.status !== storedStatus) return null;
+
+    return new Application({
+      _id: filter._id,
+      ...update.$set,
+      timeline: update.$push.timeline.$each,
+      notes: update.$push.notes ? [update.$push.notes] : []
+    });
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('applicationStatusService.getAllowedTransitions', () => {
+  it('follows the default table for members who may manage applications', async () => {
+    mockOpportunity();
+
+    await expect(applicationStatusService.getAllowedTransitions(applicationIn('submitted'), member('hiring-manager')))
+      .resolves.toEqual(DEFAULT_TRANSITIONS.submitted);
+  });
+
+  it('uses the overrides of the opportunity', async () => {
+    mockOpportunity([{ from: 'submitted', to: ['interview'] }]);
+
+    await expect(applicationStatusService.getAllowedTransitions(applicationIn('submitted'), member('recruiter')))
+      .resolves.toEqual(['interview']);
+    await expect(applicationStatusService.getAllowedTransitions(applicationIn('reviewing'), member('recruiter')))
+      .resolves.toEqual(DEFAULT_TRANSITIONS.reviewing);
+  });
+
+  it('gives viewers and other organizations nothing', async () => {
+    mockOpportunity();
+
+    await expect(applicationStatusService.getAllowedTransitions(applicationIn('submitted'), member('viewer')))
+      .resolves.toEqual([]);
+    await expect(applicationStatusService.getAllowedTransitions(applicationIn('submitted'), member('owner', ORG_B)))
+      .resolves.toEqual([]);
+  });
+
+  it('only lets the candidate withdraw a pending application', async () => {
+    await expect(applicationStatusService.getAllowedTransitions(applicationIn('interview'), employee))
+      .resolves.toEqual(['withdrawn']);
+    await expect(applicationStatusService.getAllowedTransitions(applicationIn('accepted'), employee))
+      .resolves.toEqual([]);
+  });
+});
+
+describe('applicationStatusService.changeStatus', () => {
+  it('writes an allowed move only while the application keeps the status that was checked', async () => {
+    mockOpportunity();
+    const write = mockStoredStatus('submitted');
+    const application = applicationIn('submitted');
+
+    const result = await applicationStatusService.changeStatus(application, 'under-review', {
+      actor: member('recruiter'),
+      user: { _id: USER },
+      note: 'Looks promising'
+    });
+
+    expect(result).toEqual({ previousStatus: 'submitted', status: 'reviewing' });
+
+    const [filter, update] = write.mock.calls[0];
+    expect(filter).toEqual({ _id: application._id, status: 'submitted' });
+    expect(update.$set).toEqual({ status: 'reviewing', reviewedAt: expect.any(Date) });
+    expect(update.$push.notes).toMatchObject({ note: 'Looks promising' });
+
+    // Applications created before the timeline existed get their submission first
+    expect(application.timeline.map(entry => entry.status)).toEqual(['submitted', 'reviewing']);
+    expect(application.status).toBe('reviewing');
+    expect(application.reviewedAt).toBeInstanceOf(Date);
+  });
+
+  it('rejects moves outside the transition table without writing', async () => {
+    mockOpportunity();
+    const write = mockStoredStatus('submitted');
+
+    await expect(applicationStatusService.changeStatus(applicationIn('submitted'), 'accepted', { actor: member('recruiter') }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  it('rejects staying in the same status unless an interview is scheduled again', async () => {
+    mockOpportunity();
+    mockStoredStatus('interview');
+
+    await expect(applicationStatusService.changeStatus(applicationIn('interview'), 'interview', { actor: member('recruiter') }))
+      .rejects.toMatchObject({ status: 400 });
+
+    const application = applicationIn('interview');
+    await applicationStatusService.changeStatus(application, 'interview', {
+      actor: member('recruiter'),
+      interviewData: { datetime: '2026-02-01T10:00:00Z', type: 'video' }
+    });
+
+    expect(application.interviewData.datetime).toEqual(new Date('2026-02-01T10:00:00Z'));
+  });
+
+  it('fails with 409 when someone else changed the status first', async () => {
+    mockOpportunity();
+    mockStoredStatus('rejected');
+    const application = applicationIn('submitted');
+
+    await expect(applicationStatusService.changeStatus(application, 'shortlisted', { actor: member('recruiter') }))
+      .rejects.toMatchObject({ status: 409, message: expect.stringContaining('changed by someone else') });
+    expect(application.status).toBe('submitted');
+  });
+});
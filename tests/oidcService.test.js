@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import oidcService from '../services/oidcService.js';
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Local mock IdP: a token endpoint and a JWKS endpoint. Each test decides the ID token it returns.
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'mock-key', use: 'sig', alg: 'RS256' };
+
+let server;
+let issuer;
+let issueIdToken;
+let lastTokenRequest;
+
+const provider = (overrides = {}) => ({
+  id: 'mock',
+  issuer,
+  clientId: 'client-id',
+  clientSecret: 'client-secret',
+  authorizationEndpoint: `${issuer}/authorize`,
+  tokenEndpoint: `${issuer}/token`,
+  jwksUri: `${issuer}/jwks`,
+  ...overrides
+});
+
+const signRs256 = (claims) => jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: 'mock-key', expiresIn: '5m' });
+
+const claimsFor = (nonce, overrides = {}) => ({
+  iss: issuer,
+  aud: 'client-id',
+  sub: 'user-123',
+  email: 'student@example.edu',
+  email_verified: true,
+  nonce,
+  ...overrides
+});
+
+// Start a sign-in and return what the callback needs
+const startSignIn = async (config) => {
+  const { authorizationUrl, flowToken } = await oidcService.createAuthorizationRequest(config, { role: 'employee' });
+  const params = new URL(authorizationUrl).searchParams;
+  return { params, flowToken, state: params.get('state'), nonce: params.get('nonce') };
+};
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/jwks') {
+        return res.end(JSON.stringify({ keys: [jwk] }));
+      }
+      if (req.url === '/token' && req.method === 'POST') {
+        lastTokenRequest = Object.fromEntries(new URLSearchParams(body));
+        if (lastTokenRequest.code !== 'valid-code') {
+          res.statusCode = 400;
+          return res.end(JSON.stringify({ error: 'invalid_grant', error_description: 'Unknown code' }));
+        }
+        return res.end(JSON.stringify({ id_token: issueIdToken(lastTokenRequest) }));
+      }
+
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('oidcService with a mock IdP', () => {
+  it('builds a PKCE authorization request', async () => {
+    const { params } = await startSignIn(provider());
+
+    expect(params.get('client_id')).toBe('client-id');
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('state')).toBeTruthy();
+    expect(params.get('nonce')).toBeTruthy();
+  });
+
+  it('exchanges the code and returns the verified claims', async () => {
+    const config = provider();
+    const { params, flowToken, state, nonce } = await startSignIn(config);
+    issueIdToken = () => signRs256(claimsFor(nonce));
+
+    const { flow, claims } = await oidcService.handleCallback(config, { code: 'valid-code', state, flowToken });
+
+    expect(flow.role).toBe('employee');
+    expect(claims.email).toBe('student@example.edu');
+
+    const challenge = crypto.createHash('sha256').update(lastTokenRequest.code_verifier).digest('base64url');
+    expect(challenge).toBe(params.get('code_challenge'));
+  });
+
+  it('rejects a callback whose state does not match', async () => {
+    const config = provider();
+    const { flowToken } = await startSignIn(config);
+
+    await expect(oidcService.handleCallback(config, { code: 'valid-code', state: 'other', flowToken }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('rejects a code the IdP does not accept', async () => {
+    const config = provider();
+    const { flowToken, state } = await startSignIn(config);
+
+    await expect(oidcService.handleCallback(config, { code: 'bad-code', state, flowToken }))
+      .rejects.toMatchObject({ status: 401, message: 'Unknown code' });
+  });
+
+  it('rejects an ID token with another nonce', async () => {
+    const config = provider();
+    const { flowToken, state } = await startSignIn(config);
+    issueIdToken = () => signRs256(claimsFor('replayed-nonce'));
+
+    await expect(oidcService.handleCallback(config, { code: 'valid-code', state, flowToken }))
+      .rejects.toMatchObject({ status: 401, message: 'ID token nonce mismatch' });
+  });
+
+  it('rejects an ID token for another client', async () => {
+    const config = provider();
+    const { flowToken, state, nonce } = await startSignIn(config);
+    issueIdToken = () => signRs256(claimsFor(nonce, { aud: 'someone-else' }));
+
+    await expect(oidcService.handleCallback(config, { code: 'valid-code', state, flowToken }))
+      .rejects.toMatchObject({ status: 401 });
+  });
+
+  it('rejects an HS256 token forged with the client secret for an RS256 provider', async () => {
+    const config = provider();
+    const { flowToken, state, nonce } = await startSignIn(config);
+    issueIdToken = () => jwt.sign(claimsFor(nonce), 'client-secret', { algorithm: 'HS256' });
+
+    await expect(oidcService.handleCallback(config, { code: 'valid-code', state, flowToken }))
+      .rejects.toMatchObject({ status: 401, message: 'Invalid ID token: expected a RS256 signature' });
+  });
+
+  it('accepts HS256 tokens only from providers configured for them', async () => {
+    const config = provider({ idTokenAlgorithm: 'HS256' });
+    const { flowToken, state, nonce } = await startSignIn(config);
+    issueIdToken = () => jwt.sign(claimsFor(nonce), 'client-secret', { algorithm: 'HS256' });
+
+    const { claims } = await oidcService.handleCallback(config, { code: 'valid-code', state, flowToken });
+    expect(claims.sub).toBe('user-123');
+
+    issueIdToken = () => signRs256(claimsFor(nonce));
+    await expect(oidcService.handleCallback(config, { code: 'valid-code', state, flowToken }))
+      .rejects.toMatchObject({ status: 401, message: 'Invalid ID token: expected a HS256 signature' });
+  });
+});
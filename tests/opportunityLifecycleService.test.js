@@ -0,0 +1,147 @@
+import { jest } from '@jest/globals';
+import Application from '../models/Application.js';
+import Opportunity from '../models/Opportunity.js';
+import Organization from '../models/Organization.js';
+import mailService from '../services/mailService.js';
+import opportunityLifecycleService from '../services/opportunityLifecycleService.js';
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const YESTERDAY = new Date('2026-02-28T12:00:00Z');
+const LAST_WEEK = new Date('2026-02-22T12:00:00Z');
+
+// Stored opportunities by id, changed only through the mocked atomic claim
+let opportunities;
+
+const storeOpportunity = (fields) => {
+  const opportunity = {
+    _id: `opportunity-${opportunities.size + 1}`,
+    title: 'Research assistant',
+    organization: 'organization-1',
+    isActive: true,
+    ...fields
+  };
+  opportunities.set(opportunity._id, opportunity);
+  return opportunity;
+};
+
+// Queries resolve through `.select()`; the tests pick what each query finds
+const selecting = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+let claim;
+let sendNotice;
+
+beforeEach(() => {
+  opportunities = new Map();
+
+  // Matches on status only, like the real filter would for these stored records,
+  // and returns the document as it was before the update
+  claim = jest.spyOn(Opportunity, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const stored = opportunities.get(filter._id);
+    const statuses = filter.status.$in || [filter.status];
+    if (!stored || !statuses.includes(stored.status)) return null;
+
+    const previous = structuredClone(stored);
+    Object.assign(stored, update.$set);
+    Object.keys(update.$unset || {}).forEach(field => delete stored[field]);
+    return previous;
+  });
+
+  jest.spyOn(Application, 'find').mockReturnValue(selecting([
+    { _id: 'application-1', personalInfo: { email: 'first@example.edu' } },
+    { _id: 'application-2', personalInfo: { email: 'second@example.edu' } }
+  ]));
+  jest.spyOn(Organization, 'findById').mockReturnValue(selecting({ name: 'Acme Labs' }));
+  sendNotice = jest.spyOn(mailService, 'sendOpportunityClosedNotice').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('opportunityLifecycleService.publishDue', () => {
+  it('publishes a due draft once even when two runs find it', async () => {
+    const draft = storeOpportunity({ status: 'draft', publishAt: YESTERDAY, schedule: { startDate: NOW } });
+    jest.spyOn(Opportunity, 'find').mockReturnValue(selecting([{ _id: draft._id }]));
+
+    const results = await Promise.all([
+      opportunityLifecycleService.publishDue(NOW),
+      opportunityLifecycleService.publishDue(NOW)
+    ]);
+
+    expect(results.sort()).toEqual([0, 1]);
+    expect(draft).toMatchObject({ status: 'active', activatedAt: NOW });
+    expect(draft.publishAt).toBeUndefined();
+
+    // Drafts without a start date are never claimed
+    expect(claim.mock.calls[0][0]).toMatchObject({ status: 'draft', 'schedule.startDate': { $ne: null } });
+  });
+});
+
+describe('opportunityLifecycleService.fillCompleted', () => {
+  it('fills opportunities whose openings are all accepted and tells pending candidates', async () => {
+    const full = storeOpportunity({ status: 'active', openings: 2 });
+    const open = storeOpportunity({ status: 'active', openings: 3 });
+    jest.spyOn(Opportunity, 'find').mockReturnValue(selecting([full, open]));
+    jest.spyOn(Application, 'aggregate').mockResolvedValue([
+      { _id: full._id, count: 2 },
+      { _id: open._id, count: 1 }
+    ]);
+
+    await expect(opportunityLifecycleService.fillCompleted(NOW)).resolves.toBe(1);
+
+    expect(full).toMatchObject({ status: 'filled', filledAt: NOW });
+    expect(open.status).toBe('active');
+    expect(sendNotice.mock.calls).toEqual([
+      ['first@example.edu', 'Research assistant', 'Acme Labs', 'filled'],
+      ['second@example.edu', 'Research assistant', 'Acme Labs', 'filled']
+    ]);
+  });
+
+  it('does not notify again when a reopened opportunity fills a second time', async () => {
+    const reopened = storeOpportunity({ status: 'active', openings: 1, filledAt: LAST_WEEK });
+    jest.spyOn(Opportunity, 'find').mockReturnValue(selecting([reopened]));
+    jest.spyOn(Application, 'aggregate').mockResolvedValue([{ _id: reopened._id, count: 1 }]);
+
+    await expect(opportunityLifecycleService.fillCompleted(NOW)).resolves.toBe(1);
+
+    expect(reopened.status).toBe('filled');
+    expect(sendNotice).not.toHaveBeenCalled();
+  });
+});
+
+describe('opportunityLifecycleService.closeExpired', () => {
+  it('closes an expired opportunity and notifies once when two runs find it', async () => {
+    const expired = storeOpportunity({ status: 'paused', application: { deadline: YESTERDAY } });
+    jest.spyOn(Opportunity, 'find').mockReturnValue(selecting([{ _id: expired._id }]));
+
+    const results = await Promise.all([
+      opportunityLifecycleService.closeExpired(NOW),
+      opportunityLifecycleService.closeExpired(NOW)
+    ]);
+
+    expect(results.sort()).toEqual([0, 1]);
+    expect(expired).toMatchObject({ status: 'closed', closedAt: NOW });
+    expect(sendNotice).toHaveBeenCalledTimes(2);
+  });
+
+  it('only notifies again after a reopen when the deadline was moved', async () => {
+    const sameDeadline = storeOpportunity({ status: 'active', application: { deadline: LAST_WEEK }, closedAt: YESTERDAY });
+    const newDeadline = storeOpportunity({ status: 'active', application: { deadline: YESTERDAY }, closedAt: LAST_WEEK });
+    jest.spyOn(Opportunity, 'find').mockReturnValue(selecting([{ _id: sameDeadline._id }, { _id: newDeadline._id }]));
+
+    await expect(opportunityLifecycleService.closeExpired(NOW)).resolves.toBe(2);
+
+    expect(Application.find).toHaveBeenCalledTimes(1);
+    expect(Application.find.mock.calls[0][0]).toMatchObject({ opportunity: newDeadline._id });
+  });
+
+  it('leaves opportunities that were already closed or filled alone', async () => {
+    const filled = storeOpportunity({ status: 'filled', application: { deadline: YESTERDAY } });
+    jest.spyOn(Opportunity, 'find').mockReturnValue(selecting([{ _id: filled._id }]));
+
+    await expect(opportunityLifecycleService.closeExpired(NOW)).resolves.toBe(0);
+
+    expect(filled.status).toBe('filled');
+    expect(sendNotice).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,139 @@
+import policyService, { ORGANIZATION_PERMISSIONS } from '../services/policyService.js';
+
+const ORG_A = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const ORG_B = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+const EMPLOYEE = 'eeeeeeeeeeeeeeeeeeeeeeee';
+const OTHER_EMPLOYEE = 'ffffffffffffffffffffffff';
+
+const member = (teamRole, organization = ORG_A) => policyService.buildActor({
+  user: { _id: 'user-1', role: 'organization' },
+  membership: { organization: { _id: organization }, role: teamRole }
+});
+
+const apiKeyActor = (scopes, organization = ORG_A) => policyService.buildActor({
+  user: { _id: 'user-1', role: 'organization' },
+  membership: { organization, role: 'owner' },
+  apiKey: { scopes }
+});
+
+const employee = policyService.buildActor({
+  user: { _id: 'user-2', role: 'employee' },
+  employee: { _id: EMPLOYEE }
+});
+
+const admin = policyService.buildActor({ user: { _id: 'user-3', role: 'admin' } });
+
+describe('policyService.can', () => {
+  describe('team roles', () => {
+    const actions = [...new Set(Object.values(ORGANIZATION_PERMISSIONS).flat())];
+
+    Object.entries(ORGANIZATION_PERMISSIONS).forEach(([role, permissions]) => {
+      it(`gives ${role} exactly its permissions in its own organization`, () => {
+        const actor = member(role);
+
+        actions.forEach(action => {
+          expect(policyService.can(actor, action, { organization: ORG_A })).toBe(permissions.includes(action));
+        });
+      });
+    });
+
+    it('lets members act without a record for organization-wide permissions', () => {
+      expect(policyService.can(member('recruiter'), 'opportunities:write')).toBe(true);
+      expect(policyService.can(member('viewer'), 'opportunities:write')).toBe(false);
+    });
+
+    it('only lets owners manage members, API keys and the audit log', () => {
+      ['members:manage', 'api-keys:manage', 'audit:read'].forEach(action => {
+        expect(policyService.can(member('owner'), action)).toBe(true);
+        expect(policyService.can(member('recruiter'), action)).toBe(false);
+        expect(policyService.can(member('hiring-manager'), action)).toBe(false);
+        expect(policyService.can(member('viewer'), action)).toBe(false);
+      });
+    });
+  });
+
+  describe('API keys', () => {
+    it('uses the key scopes instead of the creator role', () => {
+      const actor = apiKeyActor(['opportunities:read']);
+
+      expect(policyService.can(actor, 'opportunities:read', { organization: ORG_A })).toBe(true);
+      expect(policyService.can(actor, 'opportunities:write', { organization: ORG_A })).toBe(false);
+      expect(policyService.can(actor, 'members:manage')).toBe(false);
+    });
+
+    it('denies everything with no scopes', () => {
+      const actor = apiKeyActor([]);
+
+      expect(policyService.can(actor, 'organization:read')).toBe(false);
+      expect(policyService.can(actor, 'applications:read', { organization: ORG_A })).toBe(false);
+    });
+
+    it('stays within the key organization', () => {
+      const actor = apiKeyActor(['applications:read', 'applications:write']);
+
+      expect(policyService.can(actor, 'applications:write', { organization: ORG_A })).toBe(true);
+      expect(policyService.can(actor, 'applications:write', { organization: ORG_B })).toBe(false);
+    });
+  });
+
+  describe('employees', () => {
+    const ownApplication = { employee: EMPLOYEE, organization: ORG_A };
+    const otherApplication = { employee: OTHER_EMPLOYEE, organization: ORG_A };
+
+    it('reads and withdraws only their own applications', () => {
+      expect(policyService.can(employee, 'applications:read', ownApplication)).toBe(true);
+      expect(policyService.can(employee, 'applications:read', otherApplication)).toBe(false);
+      expect(policyService.can(employee, 'applications:withdraw', ownApplication)).toBe(true);
+      expect(policyService.can(employee, 'applications:withdraw', otherApplication)).toBe(false);
+    });
+
+    it('cannot change application status or use organization permissions', () => {
+      expect(policyService.can(employee, 'applications:write', ownApplication)).toBe(false);
+      expect(policyService.can(employee, 'opportunities:write')).toBe(false);
+      expect(policyService.can(employee, 'organization:read')).toBe(false);
+    });
+
+    it('reviews only their own engagements', () => {
+      expect(policyService.can(employee, 'reviews:create', ownApplication)).toBe(true);
+      expect(policyService.can(employee, 'reviews:create', otherApplication)).toBe(false);
+      expect(policyService.can(employee, 'reviews:write', { employee: EMPLOYEE })).toBe(true);
+      expect(policyService.can(employee, 'reviews:write', { employee: OTHER_EMPLOYEE })).toBe(false);
+    });
+
+    it('sees only their own match scores', () => {
+      expect(policyService.can(employee, 'match-score:read', { employee: EMPLOYEE, organization: ORG_A })).toBe(true);
+      expect(policyService.can(employee, 'match-score:read', { employee: OTHER_EMPLOYEE, organization: ORG_A })).toBe(false);
+    });
+  });
+
+  describe('cross-organization access', () => {
+    it('denies members acting on records of another organization', () => {
+      const owner = member('owner');
+      const foreign = { organization: ORG_B, employee: EMPLOYEE };
+
+      ['organization:read', 'opportunities:read', 'opportunities:write', 'applications:read', 'applications:write']
+        .forEach(action => expect(policyService.can(owner, action, foreign)).toBe(false));
+      expect(policyService.can(owner, 'reviews:respond', foreign)).toBe(false);
+      expect(policyService.can(owner, 'match-score:read', foreign)).toBe(false);
+    });
+
+    it('denies organization users without a membership', () => {
+      const actor = policyService.buildActor({ user: { _id: 'user-4', role: 'organization' } });
+
+      expect(policyService.can(actor, 'organization:read')).toBe(false);
+      expect(policyService.can(actor, 'applications:read', { organization: ORG_A })).toBe(false);
+    });
+  });
+
+  describe('admins and unknown actions', () => {
+    it('lets admins read applications but not change them', () => {
+      expect(policyService.can(admin, 'applications:read', { organization: ORG_A })).toBe(true);
+      expect(policyService.can(admin, 'applications:write', { organization: ORG_A })).toBe(false);
+    });
+
+    it('denies unknown actions and missing actors', () => {
+      expect(policyService.can(member('owner'), 'organization:delete')).toBe(false);
+      expect(policyService.can(null, 'organization:read')).toBe(false);
+    });
+  });
+});